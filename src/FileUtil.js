@@ -1,8 +1,18 @@
 import archiver   from 'archiver';
+import chokidar   from 'chokidar';
+import crypto     from 'crypto';
 import fs         from 'fs-extra';
 import glob       from 'glob';
 import isGlob     from 'is-glob';
+import minimatch  from 'minimatch';
 import path       from 'path';
+import stream     from 'stream';
+
+import { StringDecoder }   from 'string_decoder';
+import tar        from 'tar-stream';
+import util       from 'util';
+import yauzl      from 'yauzl';
+import zlib       from 'zlib';
 
 /**
  * FileUtil - Provides several utility methods for archiving, copying, reading, and writing files.
@@ -25,11 +35,25 @@ export default class FileUtil
        */
       this._options =
       {
+         atomic: false,
          compressFormat: 'tar.gz',
+         compressLevel: 9,
+         compressOptions: {},
+         concurrency: 16,
+         confineToRelative: false,
+         dryRun: false,
          eventbus: null,
+         incremental: false,
+         incrementalManifest: '.fileutil-manifest.json',
          lockRelative: false,
          logEvent: 'log:debug',
-         relativePath: null
+         logger: null,
+         logLevel: 'debug',
+         relativePath: null,
+         reproducible: false,
+         sourceDateEpoch: null,
+         trackOutput: false,
+         transforms: {}
       };
 
       /**
@@ -38,612 +62,5443 @@ export default class FileUtil
        */
       this.archiverStack = [];
 
+      /**
+       * Stores all active archive instances including those created by `createChild` of an archive handle.
+       * @type {Set<object>}
+       * @private
+       */
+      this._activeArchives = new Set();
+
+      /**
+       * Stores the archive instance targeted by an archive handle while one of its methods runs.
+       * @type {object|null}
+       * @private
+       */
+      this._archiveOverride = null;
+
       /**
        * Provides a unique counter for temporary archives.
        * @type {number}
        */
       this.archiveCntr = 0;
 
-      this.setOptions(options);
-   }
-
-   /**
-    * Create a compressed archive relative to the output destination. All subsequent file write and copy operations
-    * will add to the existing archive. You must invoke `archiveFinalize` to complete the archive process.
-    *
-    * @param {string}   filePath - Destination file path; the compression format extension will be appended.
-    *
-    * @param {boolean}  [addToParent=true] - If a parent archiver exists then add child archive to it and delete local
-    *                                        file.
-    *
-    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
-    *
-    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
-    */
-   archiveCreate({ filePath, addToParent = true, logPrepend = '', silent = false } = {})
-   {
-      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
-      if (typeof addToParent !== 'boolean') { throw new TypeError(`'addToParent' is not a 'boolean'.`); }
-      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
-      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
-
-      const compressFormat = this._options.compressFormat;
-
-      // Add archive format to `filePath`.
-      filePath = `${filePath}.${compressFormat}`;
-
-      if (typeof silent === 'boolean' && !silent)
-      {
-         s_LOG(this._options, `${logPrepend}creating archive: ${filePath}`);
-      }
-
-      let resolvedPath = this._options.relativePath ? path.resolve(this._options.relativePath, filePath) :
-       path.resolve(filePath);
-
-      // If a child archive is being created, `addToParent` is false then change the resolved destination to a
-      // temporary file so that the parent instance can add it before finalizing.
-      if (this.archiverStack.length > 0 && addToParent)
-      {
-         const dirName = path.dirname(resolvedPath);
-
-         resolvedPath = `${dirName}${path.sep}.temp-${this.archiveCntr++}`;
-      }
-
-      let archive;
-
-      switch (compressFormat)
-      {
-         case 'tar.gz':
-            archive = archiver('tar', { gzip: true, gzipOptions: { level: 9 } });
-            break;
+      /**
+       * Stores the compression format handlers keyed by compression format name.
+       * @type {Map<string, CompressFormatHandler>}
+       * @private
+       */
+      this._compressFormats = new Map(s_COMPRESS_FORMATS);
 
-         case 'zip':
-            archive = archiver('zip', { zlib: { level: 9 } });
-            break;
+      /**
+       * Stores the string prepended to events triggered on the eventbus; set by `onPluginLoad`.
+       * @type {string}
+       * @private
+       */
+      this._eventPrepend = 'typhonjs:';
 
-         default:
-            throw new Error(`Unknown compression format: '${compressFormat}'.`);
-      }
+      /**
+       * Tracks the count of active async file operations bounded by the `concurrency` option.
+       * @type {number}
+       * @private
+       */
+      this._asyncActive = 0;
 
-      // Make sure the resolved destination is a valid directory; if not create it...
-      fs.ensureDirSync(path.dirname(resolvedPath));
+      /**
+       * Stores pending async file operations waiting for an active operation to complete.
+       * @type {Function[]}
+       * @private
+       */
+      this._asyncQueue = [];
 
-      const stream = fs.createWriteStream(resolvedPath);
+      /**
+       * Stores the file operations recorded when the `dryRun` option is enabled.
+       * @type {FileOperation[]}
+       * @private
+       */
+      this._operationLog = [];
 
-      // Catch any archiver errors.
-      archive.on('error', (err) => { throw err; });
+      /**
+       * Stores the incremental manifest once loaded mapping destination paths relative to `relativePath` to the hash,
+       * size and modification time of the last write.
+       * @type {{entries: object, dirty: boolean}|null}
+       * @private
+       */
+      this._incrementalManifest = null;
 
-      // Pipe archive data to the file.
-      archive.pipe(stream);
+      /**
+       * Stores the resolved paths of files written to the file system when the `trackOutput` option is enabled mapped
+       * to whether the file is an archive created by `archiveCreate`.
+       * @type {Map<string, boolean>}
+       * @private
+       */
+      this._trackedOutput = new Map();
 
-      // Create an archive instance holding relevant data for tracking children archives.
-      const instance =
-      {
-         archive,
-         filePath,
-         resolvedPath,
-         stream,
-         addToParent,
-         childPromises: []
-      };
+      /**
+       * Stores the active transaction started by `transaction`.
+       * @type {{relativePath: string, resolvedPath: string, stagingPath: string, backupPath: string,
+       *         dryRun: boolean, emptied: boolean, removed: Set<string>}|null}
+       * @private
+       */
+      this._transaction = null;
 
-      this.archiverStack.push(instance);
+      this.setOptions(options);
    }
 
    /**
-    * Finalizes an active archive. You must first invoke `archiveCreate`.
-    *
-    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    * Tears down an archive instance discarding any output including the temporary files of finalized children. Active
+    * child archives added to the instance are aborted as well.
     *
-    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    * @param {object}   instance - An archive instance.
     *
-    * @returns {Promise} - A resolved promise is returned which is triggered once archive finalization completes.
+    * @returns {Promise} - A promise resolved once the output is removed.
+    * @private
     */
-   async archiveFinalize({ logPrepend = '', silent = false } = {})
+   _abortArchive(instance)
    {
-      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
-
-      const instance = this._popArchive();
-
-      if (instance !== null)
-      {
-         const parentInstance = this._getArchive();
-
-         // If `addToParent` is true and there is a parent instance then push a new Promise into the parents
-         // `childPromises` array and add callbacks to the current instances file stream to resolve the Promise.
-         if (instance.addToParent && parentInstance !== null)
-         {
-            parentInstance.childPromises.push(new Promise((resolve, reject) =>
-            {
-               // Add event callbacks to instance stream such that on close the Promise is resolved.
-               instance.stream.on('close', () =>
-               {
-                  resolve({ resolvedPath: instance.resolvedPath, filePath: instance.filePath });
-               });
+      this._releaseArchive(instance);
 
-               // Any errors will reject the promise.
-               instance.stream.on('error', reject);
-            }));
-         }
+      const children = [...this._activeArchives].filter((child) => child.parent === instance);
 
-         if (typeof silent === 'boolean' && !silent)
-         {
-            s_LOG(this._options, `${logPrepend}finalizing archive: ${instance.filePath}`);
-         }
+      const childrenAborted = Promise.all(children.map((child) => this._abortArchive(child)));
 
-         // Resolve any child promises before finalizing current instance.
-         await Promise.all(instance.childPromises).then((results) =>
-         {
-            // There are temporary child archives to insert into the current instance.
-            for (const result of results)
-            {
-               // Append temporary archive to requested relative filePath.
-               instance.archive.append(fs.createReadStream(result.resolvedPath), { name: result.filePath });
+      if (instance.aborted || instance.dryRun)
+      {
+         instance.aborted = true;
 
-               // Remove temporary archive.
-               fs.removeSync(result.resolvedPath);
-            }
-         });
+         return childrenAborted.then(() => void 0);
+      }
 
-         // Create a promise for current instance stream to close.
-         const promise = new Promise((resolve, reject) =>
-         {
-            // Add event callbacks to instance stream such that on close the Promise is resolved.
-            instance.stream.on('close', () =>
-            {
-               resolve();
-            });
+      instance.aborted = true;
 
-            // Any errors will reject the promise.
-            instance.stream.on('error', reject);
-         });
+      // The output is removed once the stream closes as the file may not be opened yet.
+      const closed = instance.closed ? Promise.resolve() :
+       new Promise((resolve) => instance.stream.once('close', resolve));
 
-         // finalize the archive (ie we are done appending files but streams have to finish yet)
-         instance.archive.finalize();
+      instance.archive.abort();
+      instance.stream.destroy();
 
-         return promise;
-      }
-      else
-      {
-         s_LOG(this._options, `${logPrepend}No active archive to finalize.`);
-      }
+      for (const tempPath of instance.childTempPaths) { fs.removeSync(tempPath); }
 
-      return Promise.resolve();
+      return Promise.all([childrenAborted, closed]).then(() => fs.removeSync(instance.resolvedPath));
    }
 
    /**
-    * Finds the common base path of a collection of paths.
+    * Applies the transforms matching a destination path to file data. String or Buffer data is passed to each
+    * transform as a string; other data such as streams and Buffers that are not valid text in `encoding` are returned
+    * unmodified.
     *
-    * @param {string[]} paths - Paths to find a common base path.
+    * @param {*}        fileData - The file data.
     *
-    * @returns {string}
+    * @param {string}   filePath - The destination path or archive entry name.
+    *
+    * @param {string}   encoding - The encoding of the file data.
+    *
+    * @returns {*} - The transformed file data.
+    * @private
     */
-   commonPath(...paths)
+   _applyTransforms(fileData, filePath, encoding)
    {
-      if (!Array.isArray(paths)) { throw new TypeError(`'paths' is not an 'array'.`); }
+      const transforms = this._getTransforms(filePath);
 
-      let commonPath = '';
+      if (transforms.length === 0 || (typeof fileData !== 'string' && !Buffer.isBuffer(fileData))) { return fileData; }
 
-      const folders = [];
-
-      for (let i = 0; i < paths.length; i++)
+      if (Buffer.isBuffer(fileData))
       {
-         if (typeof paths[i] === 'string')
-         {
-            folders.push(paths[i].split('/'));     // Split on file separator.
-         }
-      }
+         const text = fileData.toString(encoding);
 
-      if (folders.length === 0) { return commonPath; }
-
-      for (let j = 0; j < folders[0].length; j++)
-      {
-         const thisFolder = folders[0][j];         // Assign the next folder name in the first path.
-         let allMatched = true;                    // Assume all have matched in case there are no more paths.
+         // Binary data does not survive decoding and is left untouched.
+         if (!Buffer.from(text, encoding).equals(fileData)) { return fileData; }
 
-         for (let i = 1; i < folders.length && allMatched; i++)   // Look at the other paths.
-         {
-            if (folders[i].length < j)             // If there is no folder here.
-            {
-               allMatched = false;                 // No match.
-               break;                              // Reached end of folders.
-            }
+         fileData = text;
+      }
 
-            allMatched &= folders[i][j] === thisFolder; // Check if it matched.
-         }
+      for (const transform of transforms)
+      {
+         fileData = transform(fileData, filePath);
 
-         if (allMatched)                           // If they all matched this folder name.
-         {
-            commonPath += `${thisFolder}/`;        // Add it to the common path.
-         }
-         else
+         if (typeof fileData !== 'string' && !Buffer.isBuffer(fileData))
          {
-            break;                                 // Stop looking
+            throw new TypeError(`A transform for '${filePath}' did not return a 'string' or 'Buffer'.`);
          }
       }
 
-      return commonPath;
+      return fileData;
    }
 
    /**
-    * Finds the common base path of a collection of paths.
+    * Appends records as newline delimited JSON to a file path or relative path creating the file if necessary. When
+    * an archive is active the records are buffered and added as a single entry when the archive is finalized as
+    * archive entries may not be appended to.
     *
-    * @param {string}   key - A key to index into each object.
+    * @param {*|Array<*>}   records - A record or array of records each serialized to one line.
     *
-    * @param {object[]} map - Objects containing a key to holding a path.
+    * @param {string}   filePath - A relative file path and name to `config.destination`.
     *
-    * @returns {string}
+    * @param {boolean|function}  [sortKeys=false] - When true object keys are sorted by code unit or when a function
+    *                                               by the given compare function.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @param {string}   [encoding='utf8'] - The encoding type.
     */
-   commonMappedPath(key, ...map)
+   appendNDJSON({ records, filePath, sortKeys = false, logPrepend = '', silent = false, encoding = 'utf8' } = {})
    {
-      if (typeof key !== 'string') { throw new TypeError(`'key' is not a 'string'.`); }
-      if (!Array.isArray(map)) { throw new TypeError(`'map' is not an 'array'.`); }
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof records === 'undefined') { throw new TypeError(`'records' is not defined.`); }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+      if (typeof encoding !== 'string') { throw new TypeError(`'encoding' is not a 'string'.`); }
 
-      let commonPath = '';
+      const fileData = [].concat(records).map((record, index) =>
+       `${s_STRINGIFY_JSON(record, sortKeys, 0, `records[${index}]`)}\n`).join('');
 
-      const folders = [];
+      filePath = this._confinePath('filePath', filePath);
 
-      for (let i = 0; i < map.length; i++)
-      {
-         if (typeof map[i][key] === 'string')
-         {
-            folders.push(map[i][key].split('/')); // Split on file separator.
-         }
-      }
+      if (!silent) { this._log(`${logPrepend}output: ${filePath}`, { operation: 'append', filePath }); }
 
-      if (folders.length === 0) { return commonPath; }
+      const instance = this._getArchive();
 
-      for (let j = 0; j < folders[0].length; j++)
+      if (this._options.dryRun || (instance !== null && instance.dryRun))
       {
-         const thisFolder = folders[0][j];         // Assign the next folder name in the first path.
-         let allMatched = true;                    // Assume all have matched in case there are no more paths.
-
-         for (let i = 1; i < folders.length && allMatched; i++)   // Look at the other paths.
-         {
-            if (folders[i].length < j)             // If there is no folder here.
-            {
-               allMatched = false;                 // No match.
-               break;                              // Reached end of folders.
-            }
-
-            allMatched &= folders[i][j] === thisFolder; // Check if it matched.
-         }
+         this._recordOperation({ type: 'append', filePath, size: s_GET_DATA_SIZE(fileData, encoding), instance });
+      }
+      else if (instance !== null)
+      {
+         instance.appendEntries.set(filePath, (instance.appendEntries.get(filePath) || '') + fileData);
+      }
+      else
+      {
+         const resolvedPath = this._resolveDestination(filePath);
+         const outputPath = this._getOutputPath(resolvedPath);
 
-         if (allMatched)                           // If they all matched this folder name.
+         // During a transaction the existing output is staged first so that the records appended are kept on commit.
+         if (outputPath !== resolvedPath && !fs.existsSync(resolvedPath) && fs.existsSync(outputPath))
          {
-            commonPath += `${thisFolder}/`;        // Add it to the common path.
+            fs.copySync(outputPath, resolvedPath, { preserveTimestamps: true });
          }
          else
          {
-            break;                                 // Stop looking
+            fs.ensureDirSync(path.dirname(resolvedPath));
          }
-      }
 
-      return commonPath;
+         fs.appendFileSync(resolvedPath, fileData, { encoding });
+
+         this._trackOutput(resolvedPath);
+      }
    }
 
    /**
-    * Copy a source path / to destination path or relative path.
-    *
-    * @param {string}   srcPath - Source path.
-    *
-    * @param {string}   destPath - Destination path.
+    * Aborts all active archives discarding any partially written archives and the temporary files of child archives.
+    * Any pending `archiveFinalize` of an active archive is rejected with an `ArchiveError`.
     *
     * @param {string}   [logPrepend=''] - A string to prepend any logged output.
     *
     * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @returns {Promise} - A promise resolved once all partial output is removed.
     */
-   copy({ srcPath, destPath, logPrepend = '', silent = false } = {})
+   async archiveAbort({ logPrepend = '', silent = false } = {})
    {
-      if (typeof srcPath !== 'string') { throw new TypeError(`'srcPath' is not a 'string'.`); }
-      if (typeof destPath !== 'string') { throw new TypeError(`'destPath' is not a 'string'.`); }
       if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
       if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
 
-      if (!silent) { s_LOG(this._options, `${logPrepend}copied: ${destPath}`); }
-
-      const instance = this._getArchive();
+      // Abort the innermost archive first.
+      const instances = [...this._activeArchives].sort((a, b) => b.depth - a.depth);
 
-      if (instance !== null)
+      for (const instance of instances)
       {
-         if (fs.statSync(srcPath).isDirectory())
-         {
-            instance.archive.directory(srcPath, destPath);
-         }
-         else
+         if (!silent)
          {
-            instance.archive.file(srcPath, { name: destPath });
+            this._log(`${logPrepend}aborting archive: ${instance.filePath}`,
+             s_GET_ARCHIVE_LOG_RECORD(instance, 'archive:abort', 'info'));
          }
       }
-      else
-      {
-         fs.copySync(srcPath, this._options.relativePath ? path.resolve(this._options.relativePath, destPath) :
-          path.resolve(destPath));
-      }
+
+      return Promise.all(instances.map((instance) => this._abortArchive(instance)));
    }
 
    /**
-    * Empties the resolved relative directory if one is set and it is different from the current working directory.
+    * Appends file data to an archive instance. The entries of a reproducible archive are held until the archive is
+    * finalized.
     *
-    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    * @param {object}         instance - An archive instance.
+    *
+    * @param {string|Buffer}  fileData - The entry data.
+    *
+    * @param {string}         name - The entry name.
+    *
+    * @private
     */
-   emptyRelativePath({ logPrepend = '' } = {})
+   _archiveAppend(instance, fileData, name)
    {
-      if (this._options.relativePath)
+      if (instance.reproducible !== null)
       {
-         const resolvedPath = path.resolve(this._options.relativePath);
-
-         // Do not empty path if resolvedPath is at or below the current working directory.
-         if (process.cwd().startsWith(resolvedPath))
-         {
-            s_LOG(this._options,
-             `${logPrepend}FileUtil.emptyRelativePath: aborting as current working directory will be deleted.`);
-         }
-         else
-         {
-            s_LOG(this._options, `${logPrepend}emptying: ${this._options.relativePath}`);
-
-            fs.emptyDirSync(path.resolve(this._options.relativePath));
-         }
+         instance.pendingEntries.push({ name, fileData, srcPath: null, isDirectory: false });
       }
       else
       {
-         s_LOG(this._options, `${logPrepend}FileUtil.emptyRelativePath: no relative path to empty.`);
+         instance.archive.append(fileData, { name });
       }
    }
 
    /**
-    * Gets the current archiver instance.
+    * Adds a source file or directory to an archive instance. The directories of a reproducible archive are walked so
+    * that each file and subdirectory is held as a separate entry until the archive is finalized.
     *
-    * @returns {*}
-    */
-   _getArchive()
-   {
-      return this.archiverStack.length > 0 ? this.archiverStack[this.archiverStack.length - 1] : null;
-   }
-
-   /**
-    * Returns a copy of the FileUtil options.
+    * @param {object}   instance - An archive instance.
     *
-    * @returns {FileUtilOptions} - FileUtil options.
-    */
-   getOptions()
-   {
-      return JSON.parse(JSON.stringify(this._options));
-   }
-
-   /**
-    * Hydrates a list of files finally defined as globs. Bare directory paths will be converted to globs.
+    * @param {string}   srcPath - Source file or directory path.
     *
-    * @param {string|Array<string>} globs - A string or array of strings defining file globs. Any entry which is not
-    *                                       a glob will be converted to an all inclusive glob.
+    * @param {string}   destPath - The entry name or name prefix of a directory.
     *
-    * @returns {{files: Array<string>, globs: Array<string>}}
+    * @param {boolean}  isDirectory - True when the source is a directory.
+    *
+    * @private
     */
-   hydrateGlob(globs)
+   _archiveCopy(instance, srcPath, destPath, isDirectory)
    {
-      if (!Array.isArray(globs) && typeof globs !== 'string')
-      {
-         throw new TypeError(`'globs' is not a 'string' or an 'array'.`);
-      }
-
-      // If not an array then convert globEntry to an array.
-      const globArray = Array.isArray(globs) ? globs : [globs];
-
-      // Verify that all entries are strings.
-      for (let cntr = 0; cntr < globArray.length; cntr++)
+      if (instance.reproducible === null)
       {
-         if (typeof globArray[cntr] !== 'string')
+         if (isDirectory)
+         {
+            instance.archive.directory(srcPath, destPath);
+         }
+         else
          {
-            throw new TypeError(`'globs[${cntr}]: '${globArray[cntr]}' is not a 'string'.`);
+            instance.archive.file(srcPath, { name: destPath });
          }
+
+         return;
       }
 
-      const actualGlobs = [];
+      const source = isDirectory ? s_WALK_DIRECTORY(srcPath) : { files: [''], directories: [] };
 
-      // Process glob array and if any entry is not a glob then convert it to an all inclusive glob.
-      let files = [].concat(...globArray.map((entry) =>
+      // Directory entries are added so that empty directories are preserved.
+      for (const directory of source.directories)
       {
-         // Convert raw file path to glob as necessary.
-         if (!isGlob(entry))
-         {
-            // Determine if any included trailing path separator is included.
-            const results = (/([\\/])$/).exec(entry);
-            const pathSep = results !== null ? results[0] : path.sep;
-
-            // Build all inclusive glob based on bare path and covert it into an array containing it.
-            entry = entry.endsWith(pathSep) ? `${entry}**${pathSep}*` : `${entry}${pathSep}**${pathSep}*`;
-         }
-
-         // Store all glob entries to catch any ones converted to globs above.
-         actualGlobs.push(entry);
+         instance.pendingEntries.push({ name: path.posix.join(destPath, directory), fileData: null, srcPath: null,
+          isDirectory: true });
+      }
 
-         return glob.sync(path.resolve(entry));
-      }));
+      for (const file of source.files)
+      {
+         const name = isDirectory ? path.posix.join(destPath, file) : destPath;
+         const fileSrcPath = isDirectory ? path.join(srcPath, file) : srcPath;
 
-      // Filter out non-files; IE directories
-      files = files.filter((file) => fs.statSync(file).isFile());
+         instance.entrySources.set(path.resolve(fileSrcPath), name);
 
-      return { files, globs: actualGlobs };
+         instance.pendingEntries.push({ name, fileData: null, srcPath: fileSrcPath, isDirectory: false });
+      }
    }
 
    /**
-    * Adds event bindings for FileUtil via `typhonjs-plugin-manager`.
+    * Create a compressed archive relative to the output destination. All subsequent file write and copy operations
+    * will add to the existing archive. You must invoke `archiveFinalize` to complete the archive process.
     *
-    * @param {PluginEvent} ev - A plugin event.
+    * The returned handle targets the created archive explicitly regardless of the archive stack, so that concurrent
+    * tasks may each write to and finalize their own archive. When an eventbus is set {@link ArchiveProgress} is
+    * triggered as `util:file:archive:progress` as each entry is added.
+    *
+    * @param {string}   filePath - Destination file path; the compression format extension will be appended.
+    *
+    * @param {boolean}  [addToParent=true] - If a parent archiver exists then add child archive to it and delete local
+    *                                        file.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @returns {ArchiveHandle} - A handle to the created archive.
     */
-   onPluginLoad(ev)
+   archiveCreate({ filePath, addToParent = true, logPrepend = '', silent = false } = {})
    {
-      const eventbus = ev.eventbus;
+      const instance = this._createArchive({ filePath, addToParent, logPrepend, silent }, this._getArchive());
 
-      this._options.eventbus = eventbus;
-
-      let eventPrepend = 'typhonjs:';
+      this.archiverStack.push(instance);
 
-      const options = ev.pluginOptions;
+      return this._createArchiveHandle(instance);
+   }
 
-      // Apply any plugin options.
-      if (typeof options === 'object')
+   /**
+    * Extracts an archive in any registered compression format to a destination path relative to the output
+    * destination. Any child archives embedded by `archiveFinalize` are recursively extracted to a directory named after
+    * the child archive without the compression format extension. Entries with an archive extension that are not
+    * readable as an archive are extracted as plain files.
+    *
+    * @param {string}   filePath - Source archive file path including the compression format extension resolved against
+    *                              the current working directory.
+    *
+    * @param {string}   destPath - Destination directory path resolved against `relativePath`.
+    *
+    * @param {function} [filter] - An optional function invoked with each archive entry `{ name, size, mode, mtime,
+    *                              type }`; return false to skip the entry.
+    *
+    * @param {boolean}  [nested=true] - When true child archives are extracted recursively.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @returns {Promise<string[]>} - A promise resolved with the extracted file paths relative to `destPath`.
+    */
+   async archiveExtract({ filePath, destPath, filter = void 0, nested = true, logPrepend = '', silent = false } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof destPath !== 'string') { throw new TypeError(`'destPath' is not a 'string'.`); }
+      if (typeof filter !== 'undefined' && typeof filter !== 'function')
       {
-         this.setOptions(options);
+         throw new TypeError(`'filter' is not a 'function'.`);
+      }
+      if (typeof nested !== 'boolean') { throw new TypeError(`'nested' is not a 'boolean'.`); }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
 
-         // If `eventPrepend` is defined then it is prepended before all event bindings.
-         if (typeof options.eventPrepend === 'string') { eventPrepend = `${options.eventPrepend}:`; }
+      const archiveFormat = s_GET_ARCHIVE_FORMAT(this._compressFormats, filePath);
+
+      if (archiveFormat === null) { throw new Error(`Unknown compression format: '${filePath}'.`); }
+
+      destPath = this._confinePath('destPath', destPath);
+
+      if (!silent)
+      {
+         this._log(`${logPrepend}extracting archive: ${filePath}`, { operation: 'archive:extract', filePath,
+          resolvedPath: path.resolve(filePath), archive: null });
       }
 
-      eventbus.on(`${eventPrepend}util:file:archive:create`, this.archiveCreate, this);
+      const resolvedDestPath = this._resolveDestination(destPath);
 
-      eventbus.on(`${eventPrepend}util:file:archive:finalize`, this.archiveFinalize, this);
+      fs.ensureDirSync(resolvedDestPath);
 
-      eventbus.on(`${eventPrepend}util:file:copy`, this.copy, this);
+      const extracted = [];
 
-      eventbus.on(`${eventPrepend}util:file:glob:hydrate`, this.hydrateGlob, this);
+      await s_EXTRACT_ARCHIVE(path.resolve(filePath), archiveFormat.handler, resolvedDestPath, '',
+       { compressFormats: this._compressFormats, filter, nested }, extracted);
 
-      eventbus.on(`${eventPrepend}util:file:lines:read`, this.readLines, this);
+      return extracted;
+   }
 
-      eventbus.on(`${eventPrepend}util:file:options:get`, this.getOptions, this);
+   /**
+    * Lists the entries of an archive in any registered compression format without extracting it. When `nested` is true
+    * the entries of any child archives embedded by `archiveFinalize` are also listed with names prefixed by the child
+    * archive path and `!/`; IE `child.tar.gz!/file.js`.
+    *
+    * @param {string}   filePath - Source archive file path including the compression format extension resolved against
+    *                              the current working directory.
+    *
+    * @param {boolean}  [nested=false] - When true child archive entries are listed recursively.
+    *
+    * @returns {Promise<Array<{name: string, size: number, mode: number, mtime: Date, type: string}>>} - A promise
+    *          resolved with the archive entries.
+    */
+   async archiveList({ filePath, nested = false } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof nested !== 'boolean') { throw new TypeError(`'nested' is not a 'boolean'.`); }
 
-      eventbus.on(`${eventPrepend}util:file:options:set`, this.setOptions, this);
+      const archiveFormat = s_GET_ARCHIVE_FORMAT(this._compressFormats, filePath);
 
-      eventbus.on(`${eventPrepend}util:file:path:common`, this.commonPath, this);
+      if (archiveFormat === null) { throw new Error(`Unknown compression format: '${filePath}'.`); }
 
-      eventbus.on(`${eventPrepend}util:file:path:common:mapped`, this.commonMappedPath, this);
+      const entries = [];
 
-      eventbus.on(`${eventPrepend}util:file:path:relative:empty`, this.emptyRelativePath, this);
+      await s_LIST_ARCHIVE(path.resolve(filePath), archiveFormat.handler, '', { compressFormats: this._compressFormats,
+       nested }, entries);
 
-      eventbus.on(`${eventPrepend}util:file:write`, this.writeFile, this);
+      return entries;
    }
 
    /**
-    * Pops an archiver instance off the stack.
+    * Finalizes an active archive. You must first invoke `archiveCreate`.
     *
-    * @returns {*}
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @returns {Promise<ArchiveStats|null>} - A promise resolved with the archive statistics once archive finalization
+    *          completes or null when the `dryRun` option is enabled or when no archive is active which logs a
+    *          warning unless `silent`. The promise is rejected with an `ArchiveError` when the archive, a child
+    *          archive or the output stream reported an error or warning such as a missing `copy` source; the partial
+    *          archive is then removed.
     */
-   _popArchive()
+   async archiveFinalize({ logPrepend = '', silent = false } = {})
    {
-      return this.archiverStack.length > 0 ? this.archiverStack.pop() : null;
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+
+      const instance = this.archiverStack.length > 0 ? this.archiverStack[this.archiverStack.length - 1] : null;
+
+      if (instance === null)
+      {
+         if (!silent)
+         {
+            this._log(`${logPrepend}No active archive to finalize.`, { level: 'warn', operation: 'archive:finalize' });
+         }
+
+         return null;
+      }
+
+      return this._finalizeArchive(instance, logPrepend, silent);
    }
 
    /**
-    * Read lines from a file given a start and end line number.
+    * Builds a nested directory tree from a flat list of file paths such as `hydrateGlob().files`. Paths are made
+    * relative to their common base by `relativeToCommon`, so the root node represents the common base directory.
+    * Directories and files of each node are sorted by name.
     *
-    * @param {string}   filePath - The file path to load.
+    * @param {string[]}          paths - File paths.
     *
-    * @param {number}   lineStart - The start line
+    * @param {object}            [options] - Options.
     *
-    * @param {number}   lineEnd - The end line
+    * @param {boolean}           [options.caseInsensitive=false] - When true path segments are compared case
+    *                                                               insensitively to find the common base.
     *
-    * @returns {String[]}
+    * @returns {PathTreeNode} - The root node.
     */
-   readLines({ filePath, lineStart, lineEnd } = {})
+   buildTree(paths, { caseInsensitive = false } = {})
    {
-      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
-      if (typeof lineStart !== 'number') { throw new TypeError(`'lineStart' is not a 'number'.`); }
-      if (typeof lineEnd !== 'number') { throw new TypeError(`'lineEnd' is not a 'number'.`); }
+      const root = { name: '', path: '', fileCount: 0, directories: [], files: [] };
 
-      const lines = fs.readFileSync(filePath).toString().split('\n');
-      const targetLines = [];
+      for (const relativePath of this.relativeToCommon(paths, { caseInsensitive }))
+      {
+         const segments = relativePath.split('/').filter((segment) => segment !== '');
 
-      if (lineStart < 0) { lineStart = 0; }
-      if (lineEnd > lines.length) { lineEnd = lines.length; }
+         let node = root;
 
-      for (let cntr = lineStart; cntr < lineEnd; cntr++)
-      {
-         targetLines.push(`${cntr + 1}| ${lines[cntr]}`);
+         node.fileCount++;
+
+         for (let cntr = 0; cntr < segments.length - 1; cntr++)
+         {
+            let child = node.directories.find((directory) => directory.name === segments[cntr]);
+
+            if (typeof child === 'undefined')
+            {
+               child = { name: segments[cntr], path: segments.slice(0, cntr + 1).join('/'), fileCount: 0,
+                directories: [], files: [] };
+
+               node.directories.push(child);
+            }
+
+            child.fileCount++;
+
+            node = child;
+         }
+
+         node.files.push({ name: segments[segments.length - 1], path: segments.join('/') });
       }
 
-      return targetLines;
+      return s_SORT_TREE(root);
    }
 
    /**
-    * Set optional parameters.
+    * Finds the common base path of a collection of paths. Both `\\` and `/` are treated as separators and the result
+    * is `/` separated. Paths only share a base path when their roots match; a root is either `/`, a drive letter such
+    * as `C:/` or a UNC root such as `//server/share/` with drive letters and UNC roots compared case insensitively.
+    * Options may be passed as a trailing object.
     *
-    * @param {FileUtilOptions} options - Defines optional parameters to set.
+    * @example
+    * fileUtil.commonPath('C:\\docs\\a.js', 'c:/docs/b.js');                           // 'C:/docs/'
+    * fileUtil.commonPath('/docs/a.js', '/docs/b.js', { trailingSeparator: false });  // '/docs'
+    *
+    * @param {...(string|CommonPathOptions)} paths - Paths to find a common base path optionally followed by options.
+    *
+    * @returns {string}
     */
-   setOptions(options = {})
+   commonPath(...paths)
    {
-      if (typeof options !== 'object') { throw new TypeError(`'options' is not an 'object'.`); }
+      const last = paths[paths.length - 1];
 
-      if (!this._options.lockRelative && typeof options.relativePath === 'string')
+      const options = typeof last === 'object' && last !== null && !Array.isArray(last) ? paths.pop() : {};
+
+      return s_COMMON_PATH(paths.filter((entry) => typeof entry === 'string'), options);
+   }
+
+   /**
+    * Finds the common base path of a collection of paths; see `commonPath`. Options may be passed as a trailing object
+    * which does not hold a string at `key`.
+    *
+    * @param {string}   key - A key to index into each object.
+    *
+    * @param {...(object|CommonPathOptions)} map - Objects containing a key to holding a path optionally followed by
+    *                                              options.
+    *
+    * @returns {string}
+    */
+   commonMappedPath(key, ...map)
+   {
+      if (typeof key !== 'string') { throw new TypeError(`'key' is not a 'string'.`); }
+
+      const last = map[map.length - 1];
+
+      const options = typeof last === 'object' && last !== null && !Array.isArray(last) &&
+       typeof last[key] !== 'string' ? map.pop() : {};
+
+      const paths = map.filter((entry) => typeof entry === 'object' && entry !== null &&
+       typeof entry[key] === 'string').map((entry) => entry[key]);
+
+      return s_COMMON_PATH(paths, options);
+   }
+
+   /**
+    * Applies the `confineToRelative` option to a destination path or archive entry name which is resolved against
+    * `relativePath` or the current working directory when not set. When the path resolves outside of this base path a
+    * `PathConfinementError` is thrown or when `confineToRelative` is `normalize` any leading root and parent
+    * directory segments escaping the base path are removed.
+    *
+    * @param {string}   name - The parameter name of the path used in any error message.
+    *
+    * @param {string}   filePath - A destination path or archive entry name.
+    *
+    * @returns {string} - The confined path.
+    * @private
+    */
+   _confinePath(name, filePath)
+   {
+      const confineToRelative = this._options.confineToRelative;
+
+      if (!confineToRelative) { return filePath; }
+
+      const basePath = s_RESOLVE_RELATIVE(this._options, '.');
+
+      if (!s_IS_OUTSIDE_PATH(basePath, path.resolve(basePath, filePath))) { return filePath; }
+
+      if (confineToRelative !== 'normalize')
       {
-         this._options.relativePath = options.relativePath;
+         throw new PathConfinementError(`'${name}' resolves outside of the relative path: ${filePath}`, filePath,
+          basePath);
       }
 
-      // Only set `lockRelative` if it already has not been set to true.
-      if (!this._options.lockRelative && typeof options.lockRelative === 'boolean')
+      // Remove any root and resolve parent directory segments discarding those that escape the base path.
+      const segments = [];
+
+      for (const segment of filePath.slice(path.parse(filePath).root.length).split(/[\\/]/))
       {
-         this._options.lockRelative = options.lockRelative;
+         if (segment === '..') { segments.pop(); }
+         else if (segment !== '.' && segment !== '') { segments.push(segment); }
       }
 
-      if (typeof options.compressFormat === 'string') { this._options.compressFormat = options.compressFormat; }
-      if (typeof options.eventbus === 'object') { this._options.eventbus = options.eventbus; }
-      if (typeof options.logEvent === 'string') { this._options.logEvent = options.logEvent; }
+      return segments.join('/');
    }
 
    /**
-    * Write a file to file path or relative path.
+    * Copy a source path / to destination path or relative path. When an eventbus is set and the source is a directory
+    * `util:file:copy:progress` is triggered after each file is copied.
     *
-    * @param {object}   fileData - The file data.
+    * @param {string}   srcPath - Source path.
     *
-    * @param {string}   filePath - A relative file path and name to `config.destination`.
+    * @param {string}   destPath - Destination path.
     *
     * @param {string}   [logPrepend=''] - A string to prepend any logged output.
     *
     * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
     *
-    * @param {string}   [encoding='utf8'] - The encoding type.
+    * @param {boolean}  [incremental] - When true files whose destination already holds identical bytes are skipped;
+    *                                   defaults to the `incremental` option.
     */
-   writeFile({ fileData, filePath, logPrepend = '', silent = false, encoding = 'utf8' } = {})
+   copy({ srcPath, destPath, logPrepend = '', silent = false, incremental = this._options.incremental } = {})
    {
-      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof srcPath !== 'string') { throw new TypeError(`'srcPath' is not a 'string'.`); }
+      if (typeof destPath !== 'string') { throw new TypeError(`'destPath' is not a 'string'.`); }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
       if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
-      if (typeof encoding !== 'string') { throw new TypeError(`'encoding' is not a 'string'.`); }
-      if (typeof fileData === 'undefined' || fileData === null)
-      {
-         throw new TypeError(`'filePath' is not a 'string'.`);
-      }
+      if (typeof incremental !== 'boolean') { throw new TypeError(`'incremental' is not a 'boolean'.`); }
+
+      destPath = this._confinePath('destPath', destPath);
 
-      if (!silent) { s_LOG(this._options, `${logPrepend}output: ${filePath}`); }
+      if (!silent) { this._log(`${logPrepend}copied: ${destPath}`, { operation: 'copy', filePath: destPath }); }
 
       const instance = this._getArchive();
 
-      if (instance !== null)
+      // Files matching a transform are written by `writeFile` which applies the transforms to the file content.
+      if (Object.keys(this._options.transforms).length > 0)
+      {
+         if (fs.statSync(srcPath).isDirectory())
+         {
+            const entries = fs.readdirSync(srcPath);
+
+            // Empty directories are copied below so that they are preserved.
+            for (const entry of entries)
+            {
+               this.copy({ srcPath: path.join(srcPath, entry), destPath: path.posix.join(destPath, entry), logPrepend,
+                silent: true, incremental });
+            }
+
+            if (entries.length > 0) { return; }
+         }
+         else if (this._getTransforms(destPath).length > 0)
+         {
+            const fileData = fs.readFileSync(srcPath);
+
+            if (this._options.dryRun || (instance !== null && instance.dryRun))
+            {
+               this._recordOperation({ type: 'copy', filePath: destPath,
+                size: s_GET_DATA_SIZE(this._applyTransforms(fileData, destPath, 'utf8'), 'utf8'), instance });
+            }
+            else
+            {
+               this.writeFile({ fileData, filePath: destPath, silent: true, incremental });
+            }
+
+            return;
+         }
+      }
+
+      if (this._options.dryRun || (instance !== null && instance.dryRun))
+      {
+         this._recordOperation({ type: 'copy', filePath: destPath, size: s_GET_PATH_SIZE(srcPath), instance });
+      }
+      else if (instance !== null)
       {
-         instance.archive.append(fileData, { name: filePath });
+         instance.entrySources.set(path.resolve(srcPath), destPath);
+
+         this._archiveCopy(instance, srcPath, destPath, fs.statSync(srcPath).isDirectory());
       }
       else
       {
-         // If this._options.relativePath is defined then resolve the relative path against filePath.
-         fs.outputFileSync(this._options.relativePath ? path.resolve(this._options.relativePath, filePath) : filePath,
-          fileData, { encoding });
+         const resolvedPath = this._resolveDestination(destPath);
+
+         // Directories are copied file by file so that progress is triggered as each file is copied.
+         if (this._options.eventbus && fs.statSync(srcPath).isDirectory())
+         {
+            const source = s_WALK_DIRECTORY(srcPath);
+
+            const progress = this._createCopyProgress(destPath, source.files.map((file) => path.join(srcPath, file)));
+
+            for (const directory of source.directories) { fs.ensureDirSync(path.join(resolvedPath, directory)); }
+
+            for (const file of source.files)
+            {
+               const srcFilePath = path.join(srcPath, file);
+               const resolvedFilePath = path.join(resolvedPath, file);
+
+               if (incremental)
+               {
+                  this._copyIncremental(srcFilePath, resolvedFilePath);
+               }
+               else
+               {
+                  fs.copySync(srcFilePath, resolvedFilePath);
+               }
+
+               progress(srcFilePath, path.posix.join(destPath, file));
+            }
+         }
+         else if (incremental)
+         {
+            this._copyIncremental(srcPath, resolvedPath);
+         }
+         else
+         {
+            fs.copySync(srcPath, resolvedPath);
+         }
+
+         this._trackCopy(srcPath, resolvedPath);
       }
    }
-}
 
-/**
- * Creates an instance of FileUtil and assigns several methods to the plugin eventbus.
- *
- * @param {PluginEvent}    ev - A plugin event.
- *
- * @ignore
- */
-export function onPluginLoad(ev)
-{
-   new FileUtil().onPluginLoad(ev);
-}
+   /**
+    * Asynchronously copy a source path / to destination path or relative path. When an eventbus is set and the source
+    * is a directory `util:file:copy:progress` is triggered after each file is copied.
+    *
+    * @param {string}   srcPath - Source path.
+    *
+    * @param {string}   destPath - Destination path.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @param {boolean}  [incremental] - When true files whose destination already holds identical bytes are skipped;
+    *                                   defaults to the `incremental` option.
+    */
+   async copyAsync({ srcPath, destPath, logPrepend = '', silent = false, incremental = this._options.incremental } =
+    {})
+   {
+      if (typeof srcPath !== 'string') { throw new TypeError(`'srcPath' is not a 'string'.`); }
+      if (typeof destPath !== 'string') { throw new TypeError(`'destPath' is not a 'string'.`); }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+      if (typeof incremental !== 'boolean') { throw new TypeError(`'incremental' is not a 'boolean'.`); }
 
-// Module private ---------------------------------------------------------------------------------------------------
+      destPath = this._confinePath('destPath', destPath);
 
-/**
- * Helper method to log a message over an eventbus if one is defined.
- *
- * @param {FileUtilOptions}   options - FileUtil options.
- *
- * @param {*}                 message - A message to log.
- *
- * @ignore
- */
-const s_LOG = (options, message) =>
-{
-   if (options.eventbus && options.logEvent) { options.eventbus.trigger(options.logEvent, message); }
-};
+      if (!silent) { this._log(`${logPrepend}copied: ${destPath}`, { operation: 'copy', filePath: destPath }); }
+
+      // Retrieve the archive before any asynchronous operation.
+      const instance = this._getArchive();
+
+      // Files matching a transform are written by `writeFileAsync` which applies the transforms to the file content.
+      if (Object.keys(this._options.transforms).length > 0)
+      {
+         if ((await this._limit(() => fs.stat(srcPath))).isDirectory())
+         {
+            const entries = await this._limit(() => fs.readdir(srcPath));
+
+            // Empty directories are copied below so that they are preserved.
+            await Promise.all(entries.map((entry) => this.copyAsync({ srcPath: path.join(srcPath, entry),
+             destPath: path.posix.join(destPath, entry), logPrepend, silent: true, incremental })));
+
+            if (entries.length > 0) { return; }
+         }
+         else if (this._getTransforms(destPath).length > 0)
+         {
+            const fileData = await this._limit(() => fs.readFile(srcPath));
+
+            if (this._options.dryRun || (instance !== null && instance.dryRun))
+            {
+               this._recordOperation({ type: 'copy', filePath: destPath,
+                size: s_GET_DATA_SIZE(this._applyTransforms(fileData, destPath, 'utf8'), 'utf8'), instance });
+            }
+            else
+            {
+               await this.writeFileAsync({ fileData, filePath: destPath, silent: true, incremental });
+            }
+
+            return;
+         }
+      }
+
+      if (this._options.dryRun || (instance !== null && instance.dryRun))
+      {
+         this._recordOperation({ type: 'copy', filePath: destPath, size: s_GET_PATH_SIZE(srcPath), instance });
+      }
+      else if (instance !== null)
+      {
+         instance.entrySources.set(path.resolve(srcPath), destPath);
+
+         this._archiveCopy(instance, srcPath, destPath, (await this._limit(() => fs.stat(srcPath))).isDirectory());
+      }
+      else
+      {
+         const resolvedPath = this._resolveDestination(destPath);
+
+         // Directories are copied file by file so that progress is triggered as each file is copied.
+         if (this._options.eventbus && (await this._limit(() => fs.stat(srcPath))).isDirectory())
+         {
+            const source = await this._limit(() => s_WALK_DIRECTORY_ASYNC(srcPath));
+            const srcPaths = source.files.map((file) => path.join(srcPath, file));
+
+            const stats = await Promise.all(srcPaths.map((srcFilePath) =>
+             this._limit(() => fs.stat(srcFilePath).catch(() => null))));
+
+            const progress = this._createCopyProgress(destPath, srcPaths, stats);
+
+            await Promise.all(source.directories.map((directory) =>
+             this._limit(() => fs.ensureDir(path.join(resolvedPath, directory)))));
+
+            await Promise.all(source.files.map(async (file) =>
+            {
+               const srcFilePath = path.join(srcPath, file);
+               const resolvedFilePath = path.join(resolvedPath, file);
+
+               if (incremental)
+               {
+                  await this._copyIncrementalAsync(srcFilePath, resolvedFilePath);
+               }
+               else
+               {
+                  await this._limit(() => fs.copy(srcFilePath, resolvedFilePath));
+               }
+
+               progress(srcFilePath, path.posix.join(destPath, file));
+            }));
+         }
+         else if (incremental)
+         {
+            await this._copyIncrementalAsync(srcPath, resolvedPath);
+         }
+         else
+         {
+            await this._limit(() => fs.copy(srcPath, resolvedPath));
+         }
+
+         await this._trackCopyAsync(srcPath, resolvedPath);
+      }
+   }
+
+   /**
+    * Copies a source file or directory skipping any file whose destination already holds identical bytes.
+    *
+    * @param {string}   srcPath - Source path.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @private
+    */
+   _copyIncremental(srcPath, resolvedPath)
+   {
+      if (fs.statSync(srcPath).isDirectory())
+      {
+         for (const entry of fs.readdirSync(srcPath))
+         {
+            this._copyIncremental(path.join(srcPath, entry), path.join(resolvedPath, entry));
+         }
+
+         return;
+      }
+
+      const hash = s_HASH_DATA(fs.readFileSync(srcPath));
+
+      if (this._getIncrementalStatus(resolvedPath, hash) !== 'skipped')
+      {
+         fs.copySync(srcPath, resolvedPath);
+
+         this._setIncrementalEntry(resolvedPath, hash);
+      }
+   }
+
+   /**
+    * Asynchronously copies a source file or directory skipping any file whose destination already holds identical
+    * bytes.
+    *
+    * @param {string}   srcPath - Source path.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @private
+    */
+   async _copyIncrementalAsync(srcPath, resolvedPath)
+   {
+      if ((await this._limit(() => fs.stat(srcPath))).isDirectory())
+      {
+         const entries = await this._limit(() => fs.readdir(srcPath));
+
+         await Promise.all(entries.map((entry) => this._copyIncrementalAsync(path.join(srcPath, entry),
+          path.join(resolvedPath, entry))));
+
+         return;
+      }
+
+      const hash = s_HASH_DATA(await this._limit(() => fs.readFile(srcPath)));
+
+      if (await this._limit(() => this._getIncrementalStatusAsync(resolvedPath, hash)) !== 'skipped')
+      {
+         await this._limit(() => fs.copy(srcPath, resolvedPath));
+
+         this._setIncrementalEntry(resolvedPath, hash, await this._limit(() => fs.stat(resolvedPath)));
+      }
+   }
+
+   /**
+    * Copies the files matched by `hydrateGlob` to a destination path or relative path preserving the directory
+    * structure relative to `base`. Each file is copied by `copy`, so the destination is an active archive if one
+    * exists. When an eventbus is set `util:file:copy:progress` is triggered after each file is copied.
+    *
+    * @param {string|Array<string>} globs - A string or array of strings defining file globs.
+    *
+    * @param {string}   destPath - Destination directory path.
+    *
+    * @param {string}   [base] - The directory the structure is preserved relative to; resolved against the glob
+    *                            `cwd`. Defaults to the common path of all matched files.
+    *
+    * @param {function|object}   [rename] - Either a function invoked with the `/` separated path relative to `base`
+    *        and the source path returning a new relative path or an object mapping regular expression sources to
+    *        replacements applied in order to the relative path; IE `{ '\\.md$': '.html' }`.
+    *
+    * @param {object}   [globOptions] - Optional parameters passed to `hydrateGlob`.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @param {boolean}  [incremental] - When true files whose destination already holds identical bytes are skipped;
+    *                                   defaults to the `incremental` option.
+    *
+    * @returns {CopyGlobResult} - The copied source and destination paths with the number and total size of the files.
+    */
+   copyGlob({ globs, destPath, base = void 0, rename = void 0, globOptions = {}, logPrepend = '', silent = false,
+    incremental = this._options.incremental } = {})
+   {
+      if (typeof destPath !== 'string') { throw new TypeError(`'destPath' is not a 'string'.`); }
+      if (typeof base !== 'undefined' && typeof base !== 'string') { throw new TypeError(`'base' is not a 'string'.`); }
+      if (typeof rename !== 'undefined' && typeof rename !== 'function' && (typeof rename !== 'object' ||
+       rename === null))
+      {
+         throw new TypeError(`'rename' is not a 'function' or an 'object'.`);
+      }
+      if (typeof globOptions !== 'object' || globOptions === null)
+      {
+         throw new TypeError(`'globOptions' is not an 'object'.`);
+      }
+
+      const { files } = this.hydrateGlob(globs, Object.assign({}, globOptions, { absolute: true }));
+
+      if (files.length === 0) { return { copied: [], files: 0, bytes: 0 }; }
+
+      const resolvedBase = this._getGlobBase(base, globOptions, files);
+
+      // All destinations are validated before any file is copied so that an invalid destination copies nothing.
+      const copies = files.map((srcPath) => ({ srcPath,
+       destPath: this._confinePath('destPath', s_GET_GLOB_DEST_PATH(resolvedBase, srcPath, destPath, rename)) }));
+
+      const progress = this._createCopyProgress(destPath, files);
+
+      let bytes = 0;
+
+      for (const entry of copies)
+      {
+         this.copy({ srcPath: entry.srcPath, destPath: entry.destPath, logPrepend, silent, incremental });
+
+         bytes += fs.statSync(entry.srcPath).size;
+
+         progress(entry.srcPath, entry.destPath);
+      }
+
+      return { copied: copies, files: copies.length, bytes };
+   }
+
+   /**
+    * Creates a function triggering `util:file:copy:progress` on the eventbus as each file of a bulk copy is processed.
+    * No file is inspected when there is no eventbus.
+    *
+    * @param {string}   destPath - The destination directory path.
+    *
+    * @param {string[]} srcPaths - The source file paths.
+    *
+    * @param {Array<fs.Stats|null>} [stats] - The stats of the source file paths; retrieved when not provided.
+    *
+    * @returns {function(srcPath: string, filePath: string)} - A function invoked with the source and destination path
+    *          after each file is processed.
+    * @private
+    */
+   _createCopyProgress(destPath, srcPaths, stats = void 0)
+   {
+      if (!this._options.eventbus) { return () => {}; }
+
+      if (stats === void 0) { stats = srcPaths.map(s_STAT_OPTIONAL); }
+
+      // A broken symbolic link counts as no bytes.
+      const sizes = new Map(srcPaths.map((srcPath, index) => [srcPath, stats[index] !== null ? stats[index].size : 0]));
+
+      const files = { processed: 0, total: srcPaths.length };
+      const bytes = { processed: 0, total: 0 };
+
+      for (const size of sizes.values()) { bytes.total += size; }
+
+      return (srcPath, filePath) =>
+      {
+         files.processed++;
+         bytes.processed += sizes.get(srcPath);
+
+         this._triggerEvent('util:file:copy:progress', { destPath, srcPath, filePath,
+          files: Object.assign({}, files), bytes: Object.assign({}, bytes) });
+      };
+   }
+
+   /**
+    * Creates an archive instance for `archiveCreate` or the `createChild` method of an archive handle.
+    *
+    * @param {object}      options - The options of `archiveCreate`.
+    *
+    * @param {object|null} parentInstance - The parent archive instance.
+    *
+    * @returns {object} - The archive instance.
+    * @private
+    */
+   _createArchive({ filePath, addToParent = true, logPrepend = '', silent = false } = {}, parentInstance)
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof addToParent !== 'boolean') { throw new TypeError(`'addToParent' is not a 'boolean'.`); }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+
+      filePath = this._confinePath('filePath', filePath);
+
+      const compressFormat = this._options.compressFormat;
+
+      // Add archive format to `filePath`.
+      filePath = `${filePath}.${compressFormat}`;
+
+      const isChild = parentInstance !== null && addToParent;
+
+      if (typeof silent === 'boolean' && !silent)
+      {
+         this._log(`${logPrepend}creating archive: ${filePath}`, { operation: 'archive:create', filePath,
+          resolvedPath: isChild ? `${s_GET_ARCHIVE_RESOLVED_PATH(parentInstance)}!/${filePath}` :
+           this._resolveDestination(filePath), archive: isChild ? parentInstance.archivePath : null });
+      }
+
+      const handler = this._compressFormats.get(compressFormat);
+
+      if (typeof handler !== 'object') { throw new Error(`Unknown compression format: '${compressFormat}'.`); }
+
+      let resolvedPath = this._resolveDestination(filePath);
+
+      // Archive aware path relative to the output destination; IE `parent.tar.gz!/child.tar.gz`.
+      const archivePath = isChild ? `${parentInstance.archivePath}!/${filePath}` : filePath;
+
+      const depth = isChild ? parentInstance.depth + 1 : 0;
+
+      // Only record the archive when `dryRun` is enabled; no archiver instance is created.
+      if (this._options.dryRun)
+      {
+         if (isChild) { resolvedPath = `${parentInstance.resolvedPath}!/${filePath}`; }
+
+         this._recordOperation({ type: 'archive:create', filePath, resolvedPath, size: null,
+          instance: isChild ? parentInstance : null });
+
+         return this._trackArchive({ archive: null, archivePath, filePath, resolvedPath, stream: null, addToParent,
+          parent: isChild ? parentInstance : null, activeChildren: 0, childPromises: [], childTempPaths: [],
+           appendEntries: new Map(), entrySources: new Map(), depth, errors: [], onError: null, aborted: false,
+            dryRun: true });
+      }
+
+      // If a child archive is being created, `addToParent` is false then change the resolved destination to a
+      // temporary file so that the parent instance can add it before finalizing.
+      if (isChild)
+      {
+         const dirName = path.dirname(resolvedPath);
+
+         resolvedPath = `${dirName}${path.sep}.temp-${this.archiveCntr++}`;
+      }
+
+      // Per format options override the general compression level.
+      const formatOptions = Object.assign({ level: this._options.compressLevel },
+       this._options.compressOptions[compressFormat]);
+
+      const archive = archiver(handler.format,
+       typeof handler.archiverOptions === 'function' ? handler.archiverOptions(formatOptions) : {});
+
+      const compressStream = typeof handler.compress === 'function' ? handler.compress(formatOptions) : null;
+
+      // Make sure the resolved destination is a valid directory; if not create it...
+      fs.ensureDirSync(path.dirname(resolvedPath));
+
+      const stream = fs.createWriteStream(resolvedPath);
+
+      // Pipe archive data to the file optionally through a compression stream.
+      if (compressStream)
+      {
+         // Forward compression errors to the file stream which rejects on finalization.
+         compressStream.on('error', (err) => stream.emit('error', err));
+
+         archive.pipe(compressStream).pipe(stream);
+      }
+      else
+      {
+         archive.pipe(stream);
+      }
+
+      // Create an archive instance holding relevant data for tracking children archives.
+      const instance =
+      {
+         archive,
+         archivePath,
+         filePath,
+         resolvedPath,
+         stream,
+         addToParent,
+         parent: isChild ? parentInstance : null,
+         activeChildren: 0,
+         childPromises: [],
+         childTempPaths: [],
+         appendEntries: new Map(),
+         entrySources: new Map(),
+         depth,
+         reproducible: this._options.reproducible ? { date: s_GET_SOURCE_DATE(this._options) } : null,
+         pendingEntries: [],
+         entryCount: 0,
+         uncompressedSize: 0,
+         errors: [],
+         onError: null,
+         aborted: false,
+         closed: false
+      };
+
+      // Errors and warnings such as a missing `copy` source are captured and reject `archiveFinalize`.
+      const captureError = (err) =>
+      {
+         instance.errors.push(err);
+
+         if (instance.onError !== null) { instance.onError(err); }
+      };
+
+      archive.on('error', captureError);
+      archive.on('warning', captureError);
+      stream.on('error', captureError);
+      stream.on('close', () => { instance.closed = true; });
+
+      archive.on('entry', (entry) =>
+      {
+         instance.entryCount++;
+         instance.uncompressedSize += typeof entry.size === 'number' ? entry.size : entry.stats ? entry.stats.size : 0;
+      });
+
+      // Forward progress as each entry is processed; `bytesOut` counts the compressed bytes written so far.
+      archive.on('progress', (progress) => this._triggerEvent('util:file:archive:progress', {
+         archivePath,
+         depth,
+         entries: { processed: progress.entries.processed, total: progress.entries.total },
+         bytesIn: instance.uncompressedSize,
+         bytesOut: stream.bytesWritten
+      }));
+
+      return this._trackArchive(instance);
+   }
+
+   /**
+    * Creates a handle targeting an archive instance explicitly.
+    *
+    * @param {object}   instance - An archive instance.
+    *
+    * @returns {ArchiveHandle} - The archive handle.
+    * @private
+    */
+   _createArchiveHandle(instance)
+   {
+      return {
+         archivePath: instance.archivePath,
+         filePath: instance.filePath,
+
+         abort: ({ logPrepend = '', silent = false } = {}) =>
+         {
+            if (!silent)
+            {
+               this._log(`${logPrepend}aborting archive: ${instance.filePath}`,
+                s_GET_ARCHIVE_LOG_RECORD(instance, 'archive:abort', 'info'));
+            }
+
+            return this._abortArchive(instance);
+         },
+
+         copy: (options) => this._withArchive(instance, () => this.copy(options)),
+
+         createChild: (options) => this._createArchiveHandle(this._withArchive(instance,
+          () => this._createArchive(options, instance))),
+
+         finalize: ({ logPrepend = '', silent = false } = {}) => this._finalizeArchive(instance, logPrepend, silent),
+
+         writeFile: (options) => this._withArchive(instance, () => this.writeFile(options))
+      };
+   }
+
+   /**
+    * Empties the resolved relative directory if one is set and it is different from the current working directory.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    */
+   emptyRelativePath({ logPrepend = '' } = {})
+   {
+      const resolvedPath = s_GET_EMPTY_RELATIVE_PATH(this._options, logPrepend);
+
+      if (resolvedPath !== null)
+      {
+         if (this._options.dryRun)
+         {
+            this._recordOperation({ type: 'empty', filePath: this._options.relativePath, resolvedPath, size: null });
+         }
+         else
+         {
+            fs.emptyDirSync(this._resolveDestination('.'));
+
+            // When committed the emptied staging directory replaces the output as a whole.
+            if (this._transaction !== null) { this._transaction.emptied = true; }
+
+            this._incrementalManifest = null;
+            this._trackedOutput.clear();
+         }
+      }
+   }
+
+   /**
+    * Asynchronously empties the resolved relative directory if one is set and it is different from the current working
+    * directory.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    */
+   async emptyRelativePathAsync({ logPrepend = '' } = {})
+   {
+      const resolvedPath = s_GET_EMPTY_RELATIVE_PATH(this._options, logPrepend);
+
+      if (resolvedPath !== null)
+      {
+         if (this._options.dryRun)
+         {
+            this._recordOperation({ type: 'empty', filePath: this._options.relativePath, resolvedPath, size: null });
+         }
+         else
+         {
+            await this._limit(() => fs.emptyDir(this._resolveDestination('.')));
+
+            if (this._transaction !== null) { this._transaction.emptied = true; }
+
+            this._incrementalManifest = null;
+            this._trackedOutput.clear();
+         }
+      }
+   }
+
+   /**
+    * Ends the active transaction either moving the staged files into the output or discarding them.
+    *
+    * @param {object}   transaction - The transaction started by `transaction`.
+    *
+    * @param {boolean}  commit - When true the staged files are committed otherwise they are discarded.
+    *
+    * @private
+    */
+   _endTransaction(transaction, commit)
+   {
+      if (this._transaction !== transaction) { throw new Error(`The transaction is no longer active.`); }
+      if (this._activeArchives.size > 0) { throw new Error(`A transaction may not end while an archive is active.`); }
+
+      this._transaction = null;
+
+      if (transaction.dryRun) { return; }
+
+      const { resolvedPath, stagingPath, backupPath } = transaction;
+
+      if (commit)
+      {
+         // Unless emptied the unchanged output is linked into the staging directory which then replaces the output as a
+         // whole by renaming so that it is never partially updated.
+         if (!transaction.emptied && fs.existsSync(resolvedPath))
+         {
+            s_MERGE_DIRECTORY(resolvedPath, stagingPath, transaction.removed);
+         }
+
+         fs.removeSync(backupPath);
+
+         if (fs.existsSync(resolvedPath)) { fs.renameSync(resolvedPath, backupPath); }
+
+         fs.renameSync(stagingPath, resolvedPath);
+         fs.removeSync(backupPath);
+      }
+      else
+      {
+         fs.removeSync(stagingPath);
+
+         // Manifest entries of discarded writes are reloaded from the output.
+         this._incrementalManifest = null;
+      }
+
+      // Tracked output is remapped from the staging directory to the output or discarded.
+      for (const [trackedPath, isArchive] of Array.from(this._trackedOutput))
+      {
+         if (s_IS_OUTSIDE_PATH(stagingPath, trackedPath)) { continue; }
+
+         this._trackedOutput.delete(trackedPath);
+
+         if (commit)
+         {
+            this._trackedOutput.set(path.join(resolvedPath, path.relative(stagingPath, trackedPath)), isArchive);
+         }
+      }
+   }
+
+   /**
+    * Finalizes an archive instance for `archiveFinalize` or the `finalize` method of an archive handle.
+    *
+    * @param {object}   instance - An archive instance.
+    *
+    * @param {string}   logPrepend - A string to prepend any logged output.
+    *
+    * @param {boolean}  silent - When true `output: <destPath>` is logged.
+    *
+    * @returns {Promise<ArchiveStats|null>} - A promise resolved with the archive statistics once archive finalization
+    *          completes or null when the `dryRun` option is enabled.
+    * @private
+    */
+   async _finalizeArchive(instance, logPrepend, silent)
+   {
+      if (!this._activeArchives.has(instance))
+      {
+         throw new Error(`Archive '${instance.archivePath}' is no longer active.`);
+      }
+
+      if (instance.activeChildren > 0)
+      {
+         throw new Error(`Archive '${instance.archivePath}' has active child archives.`);
+      }
+
+      this._releaseArchive(instance);
+
+      const parentInstance = instance.parent;
+
+      if (instance.dryRun)
+      {
+         if (!silent)
+         {
+            this._log(`${logPrepend}finalizing archive: ${instance.filePath}`,
+             s_GET_ARCHIVE_LOG_RECORD(instance, 'archive:finalize'));
+         }
+
+         this._recordOperation({ type: 'archive:finalize', filePath: instance.filePath,
+          resolvedPath: instance.resolvedPath, size: null, instance: parentInstance });
+
+         return Promise.resolve(null);
+      }
+
+      const isChild = parentInstance !== null;
+
+      const startTime = Date.now();
+
+      let fail;
+      let failed = false;
+
+      // Create a promise for current instance stream to close or the first captured error.
+      const promise = new Promise((resolve, reject) =>
+      {
+         // The partial output is removed before rejecting.
+         fail = (err) =>
+         {
+            if (failed) { return; }
+
+            failed = true;
+
+            this._abortArchive(instance).then(() =>
+             reject(err instanceof ArchiveError ? err : new ArchiveError(instance, err)));
+         };
+
+         instance.stream.on('close', () =>
+         {
+            if (instance.aborted)
+            {
+               if (!failed) { reject(new ArchiveError(instance, new Error('The archive was aborted.'))); }
+
+               return;
+            }
+
+            // Child archives added to a parent are tracked as entries of the parent archive.
+            if (!isChild) { this._trackOutput(instance.resolvedPath, true); }
+
+            const compressedSize = instance.stream.bytesWritten;
+
+            if (!silent)
+            {
+               this._log(`${logPrepend}finalized archive: ${instance.filePath}`, Object.assign(
+                s_GET_ARCHIVE_LOG_RECORD(instance, 'archive:finalize'), { duration: Date.now() - startTime }));
+            }
+
+            resolve({
+               archivePath: instance.archivePath,
+               depth: instance.depth,
+               entries: instance.entryCount,
+               uncompressedSize: instance.uncompressedSize,
+               compressedSize,
+               ratio: instance.uncompressedSize > 0 ? compressedSize / instance.uncompressedSize : 0
+            });
+         });
+      });
+
+      // Rejections are handled by the caller or parent archive; this prevents unhandled rejections while waiting.
+      promise.catch(() => {});
+
+      instance.onError = fail;
+
+      if (instance.errors.length > 0) { fail(instance.errors[0]); }
+
+      // If `addToParent` is true and there is a parent instance then the parent awaits the temporary child archive
+      // before finalizing; a failed child rejects the parent.
+      if (isChild)
+      {
+         const childPromise = promise.then(() => ({ resolvedPath: instance.resolvedPath,
+          filePath: instance.filePath }));
+
+         childPromise.catch(() => {});
+
+         parentInstance.childPromises.push(childPromise);
+         parentInstance.childTempPaths.push(instance.resolvedPath);
+      }
+
+      if (typeof silent === 'boolean' && !silent)
+      {
+         this._log(`${logPrepend}finalizing archive: ${instance.filePath}`,
+          s_GET_ARCHIVE_LOG_RECORD(instance, 'archive:finalize'));
+      }
+
+      let results;
+
+      // Resolve any child promises before finalizing current instance.
+      try
+      {
+         results = await Promise.all(instance.childPromises);
+      }
+      catch (err)
+      {
+         fail(err);
+      }
+
+      if (instance.aborted) { return promise; }
+
+      // There are temporary child archives to insert into the current instance.
+      for (const result of results)
+      {
+         // Append temporary archive to requested relative filePath. The data is read in full as the temporary
+         // archive is removed before the parent archive consumes any stream.
+         this._archiveAppend(instance, fs.readFileSync(result.resolvedPath), result.filePath);
+
+         // Remove temporary archive.
+         fs.removeSync(result.resolvedPath);
+      }
+
+      instance.childTempPaths.length = 0;
+
+      // Add the entries buffered by `appendNDJSON`.
+      for (const [name, fileData] of instance.appendEntries) { this._archiveAppend(instance, fileData, name); }
+
+      // Entries of a reproducible archive are added sorted by name with normalized metadata.
+      if (instance.reproducible !== null)
+      {
+         instance.pendingEntries.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+
+         for (const entry of instance.pendingEntries)
+         {
+            const data = { name: entry.name, date: instance.reproducible.date, mode: 0o644, uid: 0, gid: 0 };
+
+            if (entry.isDirectory)
+            {
+               instance.archive.append(null, Object.assign(data, { type: 'directory', mode: 0o755 }));
+            }
+            else if (entry.srcPath !== null)
+            {
+               // Files with known stats are queued in order instead of after an asynchronous stat; a missing source is
+               // reported by the archiver.
+               const stats = s_STAT_OPTIONAL(entry.srcPath);
+
+               if (stats !== null)
+               {
+                  data.stats = stats;
+                  data.mode = (stats.mode & 0o111) !== 0 ? 0o755 : 0o644;
+               }
+
+               instance.archive.file(entry.srcPath, data);
+            }
+            else
+            {
+               instance.archive.append(entry.fileData, data);
+            }
+         }
+
+         instance.pendingEntries.length = 0;
+      }
+
+      // finalize the archive (ie we are done appending files but streams have to finish yet)
+      instance.archive.finalize();
+
+      return promise;
+   }
+
+   /**
+    * Gets the current archiver instance.
+    *
+    * @returns {*}
+    */
+   _getArchive()
+   {
+      if (this._archiveOverride !== null) { return this._archiveOverride; }
+
+      return this.archiverStack.length > 0 ? this.archiverStack[this.archiverStack.length - 1] : null;
+   }
+
+   /**
+    * Resolves the base directory that the structure of files matched by globs is preserved relative to.
+    *
+    * @param {string|undefined}  base - An explicit base resolved against the glob `cwd`.
+    *
+    * @param {object}            globOptions - Optional parameters passed to `hydrateGlob`.
+    *
+    * @param {string[]}          files - The matched files; the common path is used when `base` is not defined.
+    *
+    * @returns {string} - The resolved base directory.
+    * @private
+    */
+   _getGlobBase(base, globOptions, files)
+   {
+      const cwd = s_GET_HYDRATE_OPTIONS(this._options, globOptions).cwd;
+
+      if (typeof base === 'string') { return path.resolve(cwd, base); }
+
+      return files.length > 0 ? path.resolve(this.commonPath(...files.map((file) => path.dirname(file)))) : cwd;
+   }
+
+   /**
+    * Gets the incremental manifest loading it from `incrementalManifest` resolved against `relativePath` as necessary.
+    *
+    * @returns {{entries: object, dirty: boolean}} - The incremental manifest.
+    * @private
+    */
+   _getIncrementalManifest()
+   {
+      if (this._incrementalManifest === null)
+      {
+         const manifestPath = s_RESOLVE_RELATIVE(this._options, this._options.incrementalManifest);
+
+         // An unreadable manifest is replaced as destination bytes are compared when no entry matches.
+         const entries = fs.existsSync(manifestPath) ? fs.readJsonSync(manifestPath, { 'throws': false }) : null;
+
+         this._incrementalManifest = { entries: entries !== null && typeof entries === 'object' ? entries : {},
+          dirty: false };
+      }
+
+      return this._incrementalManifest;
+   }
+
+   /**
+    * Asynchronously gets the incremental manifest loading it from `incrementalManifest` resolved against
+    * `relativePath` as necessary.
+    *
+    * @returns {Promise<{entries: object, dirty: boolean}>} - The incremental manifest.
+    * @private
+    */
+   async _getIncrementalManifestAsync()
+   {
+      if (this._incrementalManifest === null)
+      {
+         const manifestPath = s_RESOLVE_RELATIVE(this._options, this._options.incrementalManifest);
+
+         const entries = await fs.pathExists(manifestPath) ? await fs.readJson(manifestPath, { 'throws': false }) :
+          null;
+
+         // A concurrent load may have completed while the manifest was read.
+         if (this._incrementalManifest === null)
+         {
+            this._incrementalManifest = { entries: entries !== null && typeof entries === 'object' ? entries : {},
+             dirty: false };
+         }
+      }
+
+      return this._incrementalManifest;
+   }
+
+   /**
+    * Determines the write status of a destination given the hash of the new content. The destination is skipped when
+    * the manifest entry matches the hash and current destination size / modification time or otherwise when the
+    * destination bytes hash identically.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @param {string}   hash - The hash of the new content.
+    *
+    * @returns {string} - `created`, `skipped` or `written`.
+    * @private
+    */
+   _getIncrementalStatus(resolvedPath, hash)
+   {
+      // A destination not yet staged is compared with the output which a commit keeps unless it was emptied.
+      if (!fs.existsSync(resolvedPath)) { resolvedPath = this._getOutputPath(resolvedPath); }
+
+      if (!fs.existsSync(resolvedPath)) { return 'created'; }
+
+      const stats = fs.statSync(resolvedPath);
+
+      if (!stats.isFile()) { return 'written'; }
+
+      const entry = this._getIncrementalManifest().entries[this._getManifestKey(resolvedPath)];
+
+      if (typeof entry === 'object' && entry.hash === hash && entry.size === stats.size &&
+       entry.mtimeMs === stats.mtimeMs)
+      {
+         return 'skipped';
+      }
+
+      // The manifest entry is missing or stale so compare the destination bytes directly.
+      if (s_HASH_DATA(fs.readFileSync(resolvedPath)) === hash)
+      {
+         this._setIncrementalEntry(resolvedPath, hash, stats);
+
+         return 'skipped';
+      }
+
+      return 'written';
+   }
+
+   /**
+    * Asynchronously determines the write status of a destination given the hash of the new content like
+    * `_getIncrementalStatus`.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @param {string}   hash - The hash of the new content.
+    *
+    * @returns {Promise<string>} - `created`, `skipped` or `written`.
+    * @private
+    */
+   async _getIncrementalStatusAsync(resolvedPath, hash)
+   {
+      // The manifest is loaded first so that `_setIncrementalEntry` never loads it synchronously.
+      const manifest = await this._getIncrementalManifestAsync();
+
+      if (!(await fs.pathExists(resolvedPath))) { resolvedPath = this._getOutputPath(resolvedPath); }
+
+      if (!(await fs.pathExists(resolvedPath))) { return 'created'; }
+
+      const stats = await fs.stat(resolvedPath);
+
+      if (!stats.isFile()) { return 'written'; }
+
+      const entry = manifest.entries[this._getManifestKey(resolvedPath)];
+
+      if (typeof entry === 'object' && entry.hash === hash && entry.size === stats.size &&
+       entry.mtimeMs === stats.mtimeMs)
+      {
+         return 'skipped';
+      }
+
+      if (s_HASH_DATA(await fs.readFile(resolvedPath)) === hash)
+      {
+         this._setIncrementalEntry(resolvedPath, hash, stats);
+
+         return 'skipped';
+      }
+
+      return 'written';
+   }
+
+   /**
+    * Returns the manifest key of a resolved destination; the path relative to `relativePath` or the staging directory
+    * of an active transaction with `/` separators.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @returns {string} - The manifest key.
+    * @private
+    */
+   _getManifestKey(resolvedPath)
+   {
+      const transaction = this._transaction;
+
+      const basePath = transaction !== null && !transaction.dryRun &&
+       !s_IS_OUTSIDE_PATH(transaction.stagingPath, resolvedPath) ? transaction.stagingPath :
+        s_RESOLVE_RELATIVE(this._options, '.');
+
+      return path.relative(basePath, resolvedPath).split(path.sep).join('/');
+   }
+
+   /**
+    * Returns the output path a resolved destination in the staging directory of an active transaction replaces on
+    * commit. Other destinations and those of a transaction which emptied the output are returned unchanged.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @returns {string} - The output path.
+    * @private
+    */
+   _getOutputPath(resolvedPath)
+   {
+      const transaction = this._transaction;
+
+      if (transaction === null || transaction.dryRun || transaction.emptied ||
+       s_IS_OUTSIDE_PATH(transaction.stagingPath, resolvedPath))
+      {
+         return resolvedPath;
+      }
+
+      return path.join(transaction.resolvedPath, path.relative(transaction.stagingPath, resolvedPath));
+   }
+
+   /**
+    * Returns the transforms of the `transforms` option matching a destination path in option order. Keys beginning
+    * with `.` which are not globs match by extension and other keys are globs matched against the destination path or
+    * the base name when the key contains no `/`.
+    *
+    * @param {string}   filePath - The destination path or archive entry name.
+    *
+    * @returns {Array<function(content: string, filePath: string): string|Buffer>} - The matching transforms.
+    * @private
+    */
+   _getTransforms(filePath)
+   {
+      const transforms = [];
+      const posixPath = s_TO_POSIX(filePath);
+
+      for (const key of Object.keys(this._options.transforms))
+      {
+         const matches = key.startsWith('.') && !isGlob(key) ? posixPath.endsWith(key) :
+          minimatch(posixPath, key, { dot: true, matchBase: !key.includes('/') });
+
+         if (matches) { transforms.push(...[].concat(this._options.transforms[key])); }
+      }
+
+      return transforms;
+   }
+
+   /**
+    * Returns a copy of the FileUtil options.
+    *
+    * @returns {FileUtilOptions} - FileUtil options.
+    */
+   getOptions()
+   {
+      return JSON.parse(JSON.stringify(this._options));
+   }
+
+   /**
+    * Returns a copy of the file operations recorded while the `dryRun` option is enabled.
+    *
+    * @param {boolean}  [clear=false] - When true the operation log is cleared.
+    *
+    * @returns {FileOperation[]} - The recorded file operations.
+    */
+   getOperationLog({ clear = false } = {})
+   {
+      if (typeof clear !== 'boolean') { throw new TypeError(`'clear' is not a 'boolean'.`); }
+
+      const operationLog = this._operationLog.map((operation) => Object.assign({}, operation));
+
+      if (clear) { this._operationLog.length = 0; }
+
+      return operationLog;
+   }
+
+   /**
+    * Hydrates a list of files finally defined as globs. Bare directory paths will be converted to globs. Entries
+    * prefixed with `!` along with the `ignore` option and the rules of any ignore files exclude matching files and
+    * directories. Files are returned sorted without duplicates.
+    *
+    * @param {string|Array<string>} globs - A string or array of strings defining file globs. Any entry which is not
+    *                                       a glob will be converted to an all inclusive glob.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {string|Array<string>} [options.ignore] - Globs or bare paths excluding matching files and directories.
+    *
+    * @param {string|Array<string>} [options.ignoreFiles] - Paths of `.gitignore` / `.npmignore` style files whose
+    *                                                       rules are applied relative to their directory; missing
+    *                                                       files are skipped.
+    *
+    * @param {string}   [options.cwd] - The directory globs, exclusions and ignore files are resolved against; defaults
+    *                                   to `relativePath` when set otherwise the current working directory.
+    *
+    * @param {boolean}  [options.dot=false] - When true files and directories beginning with `.` are matched.
+    *
+    * @param {boolean}  [options.absolute=true] - When false files are returned relative to `cwd` with `/`
+    *                                             separators.
+    *
+    * @param {boolean}  [options.followSymlinks=false] - When true symlinked directories are traversed by `**`.
+    *
+    * @returns {{files: Array<string>, globs: Array<string>, ignore: Array<string>}}
+    */
+   hydrateGlob(globs, options = {})
+   {
+      const { includes, excludes } = s_NORMALIZE_GLOBS(globs);
+      const hydrateOptions = s_GET_HYDRATE_OPTIONS(this._options, options);
+      const rules = s_GET_EXCLUSION_RULES(excludes, options, hydrateOptions.cwd);
+      const globOptions = s_GET_GLOB_OPTIONS(rules, hydrateOptions);
+
+      let files = [].concat(...includes.map((entry) => glob.sync(path.resolve(hydrateOptions.cwd, entry),
+       globOptions)));
+
+      // Filter out non-files; IE directories and excluded files.
+      files = files.filter((file) => fs.statSync(file).isFile() && !s_IS_EXCLUDED(file, rules));
+
+      return { files: s_SORT_FILES(files, hydrateOptions), globs: includes, ignore: rules.map((rule) => rule.source) };
+   }
+
+   /**
+    * Asynchronously hydrates a list of files finally defined as globs. Bare directory paths will be converted to globs.
+    * Entries prefixed with `!` along with the `ignore` option and the rules of any ignore files exclude matching files
+    * and directories. Files are returned sorted without duplicates.
+    *
+    * @param {string|Array<string>} globs - A string or array of strings defining file globs. Any entry which is not
+    *                                       a glob will be converted to an all inclusive glob.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {string|Array<string>} [options.ignore] - Globs or bare paths excluding matching files and directories.
+    *
+    * @param {string|Array<string>} [options.ignoreFiles] - Paths of `.gitignore` / `.npmignore` style files whose
+    *                                                       rules are applied relative to their directory; missing
+    *                                                       files are skipped.
+    *
+    * @param {string}   [options.cwd] - The directory globs, exclusions and ignore files are resolved against; defaults
+    *                                   to `relativePath` when set otherwise the current working directory.
+    *
+    * @param {boolean}  [options.dot=false] - When true files and directories beginning with `.` are matched.
+    *
+    * @param {boolean}  [options.absolute=true] - When false files are returned relative to `cwd` with `/`
+    *                                             separators.
+    *
+    * @param {boolean}  [options.followSymlinks=false] - When true symlinked directories are traversed by `**`.
+    *
+    * @returns {Promise<{files: Array<string>, globs: Array<string>, ignore: Array<string>}>} - A promise resolved with
+    *          the hydrated files.
+    */
+   async hydrateGlobAsync(globs, options = {})
+   {
+      const { includes, excludes } = s_NORMALIZE_GLOBS(globs);
+      const hydrateOptions = s_GET_HYDRATE_OPTIONS(this._options, options);
+      const rules = s_GET_EXCLUSION_RULES(excludes, options, hydrateOptions.cwd);
+      const globOptions = s_GET_GLOB_OPTIONS(rules, hydrateOptions);
+
+      const files = [].concat(...await Promise.all(includes.map(
+       (entry) => this._limit(() => s_GLOB_ASYNC(path.resolve(hydrateOptions.cwd, entry), globOptions)))));
+
+      // Filter out non-files; IE directories and excluded files.
+      const isFile = await Promise.all(files.map((file) => this._limit(() => fs.stat(file)).then(
+       (stats) => stats.isFile() && !s_IS_EXCLUDED(file, rules))));
+
+      return { files: s_SORT_FILES(files.filter((file, index) => isFile[index]), hydrateOptions), globs: includes,
+       ignore: rules.map((rule) => rule.source) };
+   }
+
+   /**
+    * Runs an async file operation once the count of active operations is below the `concurrency` option.
+    *
+    * @param {function(): Promise}  operation - A function returning a promise for the file operation.
+    *
+    * @returns {Promise} - A promise resolved with the result of the operation.
+    * @private
+    */
+   _limit(operation)
+   {
+      return new Promise((resolve, reject) =>
+      {
+         const run = () =>
+         {
+            this._asyncActive++;
+
+            Promise.resolve().then(operation).then(resolve, reject).then(() =>
+            {
+               this._asyncActive--;
+
+               if (this._asyncQueue.length > 0) { this._asyncQueue.shift()(); }
+            });
+         };
+
+         if (this._asyncActive < this._options.concurrency)
+         {
+            run();
+         }
+         else
+         {
+            this._asyncQueue.push(run);
+         }
+      });
+   }
+
+   /**
+    * Logs a message with a structured log record. Unless given the containing archive and resolved path are determined
+    * from the active archive.
+    *
+    * @param {string}   message - A message to log.
+    *
+    * @param {object}   [record] - The log record fields.
+    *
+    * @param {string}   [record.level='debug'] - The log level; `debug`, `info`, `warn` or `error`.
+    *
+    * @param {string}   [record.operation] - The operation.
+    *
+    * @param {string}   [record.filePath] - The file path.
+    *
+    * @param {string}   [record.resolvedPath] - The resolved path.
+    *
+    * @param {string}   [record.archive] - The archive aware path of the containing archive.
+    *
+    * @param {number}   [record.duration] - The duration of the operation in milliseconds.
+    *
+    * @private
+    */
+   _log(message, { level = 'debug', operation = null, filePath = null, resolvedPath = void 0, archive = void 0,
+    duration = null } = {})
+   {
+      const instance = this._getArchive();
+
+      if (typeof archive === 'undefined') { archive = instance !== null ? instance.archivePath : null; }
+
+      if (typeof resolvedPath === 'undefined')
+      {
+         resolvedPath = filePath === null ? null : instance !== null ?
+          `${s_GET_ARCHIVE_RESOLVED_PATH(instance)}!/${filePath}` :
+          this._resolveDestination(filePath);
+      }
+
+      s_LOG(this._options, message, { level, operation, path: filePath, resolvedPath, archive, duration });
+   }
+
+   /**
+    * Adds event bindings for FileUtil via `typhonjs-plugin-manager`.
+    *
+    * @param {PluginEvent} ev - A plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      const eventbus = ev.eventbus;
+
+      this._options.eventbus = eventbus;
+
+      let eventPrepend = 'typhonjs:';
+
+      const options = ev.pluginOptions;
+
+      // Apply any plugin options.
+      if (typeof options === 'object')
+      {
+         this.setOptions(options);
+
+         // If `eventPrepend` is defined then it is prepended before all event bindings.
+         if (typeof options.eventPrepend === 'string') { eventPrepend = `${options.eventPrepend}:`; }
+      }
+
+      this._eventPrepend = eventPrepend;
+
+      eventbus.on(`${eventPrepend}util:file:archive:abort`, this.archiveAbort, this);
+
+      eventbus.on(`${eventPrepend}util:file:archive:create`, this.archiveCreate, this);
+
+      eventbus.on(`${eventPrepend}util:file:archive:extract`, this.archiveExtract, this);
+
+      eventbus.on(`${eventPrepend}util:file:archive:finalize`, this.archiveFinalize, this);
+
+      eventbus.on(`${eventPrepend}util:file:archive:format:register`, this.registerCompressFormat, this);
+
+      eventbus.on(`${eventPrepend}util:file:archive:list`, this.archiveList, this);
+
+      eventbus.on(`${eventPrepend}util:file:copy`, this.copy, this);
+
+      eventbus.on(`${eventPrepend}util:file:copy:async`, this.copyAsync, this);
+
+      eventbus.on(`${eventPrepend}util:file:copy:glob`, this.copyGlob, this);
+
+      eventbus.on(`${eventPrepend}util:file:glob:hydrate`, this.hydrateGlob, this);
+
+      eventbus.on(`${eventPrepend}util:file:glob:hydrate:async`, this.hydrateGlobAsync, this);
+
+      eventbus.on(`${eventPrepend}util:file:incremental:manifest:save`, this.saveIncrementalManifest, this);
+
+      eventbus.on(`${eventPrepend}util:file:json:ndjson:append`, this.appendNDJSON, this);
+
+      eventbus.on(`${eventPrepend}util:file:json:ndjson:read`, this.readNDJSON, this);
+
+      eventbus.on(`${eventPrepend}util:file:json:read`, this.readJSON, this);
+
+      eventbus.on(`${eventPrepend}util:file:json:write`, this.writeJSON, this);
+
+      eventbus.on(`${eventPrepend}util:file:lines:read`, this.readLines, this);
+
+      eventbus.on(`${eventPrepend}util:file:lines:read:async`, this.readLinesAsync, this);
+
+      eventbus.on(`${eventPrepend}util:file:lines:read:stream`, this.readLinesStream, this);
+
+      eventbus.on(`${eventPrepend}util:file:manifest:write`, this.writeManifest, this);
+
+      eventbus.on(`${eventPrepend}util:file:operation:log:get`, this.getOperationLog, this);
+
+      eventbus.on(`${eventPrepend}util:file:options:get`, this.getOptions, this);
+
+      eventbus.on(`${eventPrepend}util:file:options:set`, this.setOptions, this);
+
+      eventbus.on(`${eventPrepend}util:file:path:common`, this.commonPath, this);
+
+      eventbus.on(`${eventPrepend}util:file:path:common:mapped`, this.commonMappedPath, this);
+
+      eventbus.on(`${eventPrepend}util:file:path:rebase`, this.rebasePaths, this);
+
+      eventbus.on(`${eventPrepend}util:file:path:relative:common`, this.relativeToCommon, this);
+
+      eventbus.on(`${eventPrepend}util:file:path:relative:empty`, this.emptyRelativePath, this);
+
+      eventbus.on(`${eventPrepend}util:file:path:relative:empty:async`, this.emptyRelativePathAsync, this);
+
+      eventbus.on(`${eventPrepend}util:file:path:tree`, this.buildTree, this);
+
+      eventbus.on(`${eventPrepend}util:file:sync`, this.sync, this);
+
+      eventbus.on(`${eventPrepend}util:file:transaction`, this.transaction, this);
+
+      eventbus.on(`${eventPrepend}util:file:watch`, this.watch, this);
+
+      eventbus.on(`${eventPrepend}util:file:write`, this.writeFile, this);
+
+      eventbus.on(`${eventPrepend}util:file:write:async`, this.writeFileAsync, this);
+   }
+
+   /**
+    * Reads and parses a JSON file.
+    *
+    * @param {string}   filePath - The file path to load.
+    *
+    * @param {string}   [encoding='utf8'] - The encoding type.
+    *
+    * @param {function} [reviver] - A reviver passed to `JSON.parse`.
+    *
+    * @returns {*} - The parsed data.
+    */
+   readJSON({ filePath, encoding = 'utf8', reviver = void 0 } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof encoding !== 'string') { throw new TypeError(`'encoding' is not a 'string'.`); }
+      if (typeof reviver !== 'undefined' && typeof reviver !== 'function')
+      {
+         throw new TypeError(`'reviver' is not a 'function'.`);
+      }
+
+      const data = fs.readFileSync(filePath, { encoding });
+
+      try
+      {
+         // Strip any byte order mark.
+         return JSON.parse(data.replace(/^\uFEFF/, ''), reviver);
+      }
+      catch (err)
+      {
+         throw new SyntaxError(`Failed to parse JSON '${filePath}': ${err.message}`);
+      }
+   }
+
+   /**
+    * Read lines from a file given a start and end line number. Lines are split on `\n` and `\r\n` and by default
+    * prefixed with the 1-based line number; IE `3| <line>`.
+    *
+    * @param {string}   filePath - The file path to load.
+    *
+    * @param {number}   [lineStart] - The start line; required unless `around` is defined.
+    *
+    * @param {number}   [lineEnd] - The end line; excluded when `base` is `0` and included when `base` is `1`.
+    *                               Required unless `around` is defined.
+    *
+    * @param {{line: number, context: number}}  [around] - Selects `context` lines, defaulting to `2`, before and
+    *                                                      after `line` instead of `lineStart` and `lineEnd`.
+    *
+    * @param {number}   [base=0] - Whether `lineStart`, `lineEnd`, `around.line` and `highlight` are `0` or `1` based.
+    *
+    * @param {boolean}  [raw=false] - When true the lines are returned without line numbers.
+    *
+    * @param {function(lineNumber: string, line: string): string}  [formatter] - Formats each line given the line
+    *        number and line; defaults to `<lineNumber>| <line>`.
+    *
+    * @param {boolean}  [padding=false] - When true line numbers are padded to the width of the last line number.
+    *
+    * @param {number}   [highlight] - A line to prefix with `marker`; other lines are indented to the marker width.
+    *
+    * @param {string}   [marker='>'] - The marker prefixing the highlighted line.
+    *
+    * @returns {String[]}
+    */
+   readLines({ filePath, lineStart, lineEnd, around = void 0, base = 0, raw = false, formatter = void 0,
+    padding = false, highlight = void 0, marker = '>' } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const options = s_GET_READ_LINES_OPTIONS({ lineStart, lineEnd, around, base, raw, formatter, padding, highlight,
+       marker });
+
+      return s_READ_LINES(fs.readFileSync(filePath).toString(), options);
+   }
+
+   /**
+    * Asynchronously read lines from a file given a start and end line number; see `readLines`.
+    *
+    * @param {string}   filePath - The file path to load.
+    *
+    * @param {number}   [lineStart] - The start line; required unless `around` is defined.
+    *
+    * @param {number}   [lineEnd] - The end line; excluded when `base` is `0` and included when `base` is `1`.
+    *                               Required unless `around` is defined.
+    *
+    * @param {{line: number, context: number}}  [around] - Selects `context` lines, defaulting to `2`, before and
+    *                                                      after `line` instead of `lineStart` and `lineEnd`.
+    *
+    * @param {number}   [base=0] - Whether `lineStart`, `lineEnd`, `around.line` and `highlight` are `0` or `1` based.
+    *
+    * @param {boolean}  [raw=false] - When true the lines are returned without line numbers.
+    *
+    * @param {function(lineNumber: string, line: string): string}  [formatter] - Formats each line given the line
+    *        number and line; defaults to `<lineNumber>| <line>`.
+    *
+    * @param {boolean}  [padding=false] - When true line numbers are padded to the width of the last line number.
+    *
+    * @param {number}   [highlight] - A line to prefix with `marker`; other lines are indented to the marker width.
+    *
+    * @param {string}   [marker='>'] - The marker prefixing the highlighted line.
+    *
+    * @returns {Promise<String[]>} - A promise resolved with the target lines.
+    */
+   async readLinesAsync({ filePath, lineStart, lineEnd, around = void 0, base = 0, raw = false, formatter = void 0,
+    padding = false, highlight = void 0, marker = '>' } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const options = s_GET_READ_LINES_OPTIONS({ lineStart, lineEnd, around, base, raw, formatter, padding, highlight,
+       marker });
+
+      const data = await this._limit(() => fs.readFile(filePath));
+
+      return s_READ_LINES(data.toString(), options);
+   }
+
+   /**
+    * Streams lines from a file given a start and end line number returning an async iterator of the target lines
+    * formatted as by `readLines`. The file is decoded incrementally and reading stops once `lineEnd` is passed, so
+    * only the lines up to `lineEnd` are held in memory. When `padding` is enabled line numbers are padded to the width
+    * of `lineEnd` as the line count is not known in advance.
+    *
+    * @example
+    * for await (const line of fileUtil.readLinesStream({ filePath: 'bundle.js', around: { line: 1200 } })) { ... }
+    *
+    * @param {string}   filePath - The file path to load.
+    *
+    * @param {number}   [lineStart] - The start line; required unless `around` is defined.
+    *
+    * @param {number}   [lineEnd] - The end line; excluded when `base` is `0` and included when `base` is `1`.
+    *                               Required unless `around` is defined.
+    *
+    * @param {{line: number, context: number}}  [around] - Selects `context` lines, defaulting to `2`, before and
+    *                                                      after `line` instead of `lineStart` and `lineEnd`.
+    *
+    * @param {number}   [base=0] - Whether `lineStart`, `lineEnd`, `around.line` and `highlight` are `0` or `1` based.
+    *
+    * @param {boolean}  [raw=false] - When true the lines are returned without line numbers.
+    *
+    * @param {function(lineNumber: string, line: string): string}  [formatter] - Formats each line given the line
+    *        number and line; defaults to `<lineNumber>| <line>`.
+    *
+    * @param {boolean}  [padding=false] - When true line numbers are padded to the width of `lineEnd`.
+    *
+    * @param {number}   [highlight] - A line to prefix with `marker`; other lines are indented to the marker width.
+    *
+    * @param {string}   [marker='>'] - The marker prefixing the highlighted line.
+    *
+    * @param {string}   [encoding='utf8'] - The file encoding; any encoding supported by `Buffer` such as `utf8`,
+    *                                       `utf16le` or `latin1`. An unsupported encoding throws a `TypeError`.
+    *
+    * @returns {AsyncIterable<string>} - An async iterable of the target lines.
+    */
+   readLinesStream({ filePath, lineStart, lineEnd, around = void 0, base = 0, raw = false, formatter = void 0,
+    padding = false, highlight = void 0, marker = '>', encoding = 'utf8' } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof encoding !== 'string') { throw new TypeError(`'encoding' is not a 'string'.`); }
+
+      const options = s_GET_READ_LINES_OPTIONS({ lineStart, lineEnd, around, base, raw, formatter, padding, highlight,
+       marker });
+
+      if (!Buffer.isEncoding(encoding))
+      {
+         throw new TypeError(`'encoding' is not a supported encoding: '${encoding}'.`);
+      }
+
+      return s_READ_LINES_STREAM(filePath, new StringDecoder(encoding), options);
+   }
+
+   /**
+    * Streams the records of a newline delimited JSON file returning an async iterator of the parsed records. Blank
+    * lines are skipped and the file is read incrementally by `readLinesStream`.
+    *
+    * @example
+    * for await (const record of fileUtil.readNDJSON({ filePath: 'events.ndjson' })) { ... }
+    *
+    * @param {string}   filePath - The file path to load.
+    *
+    * @param {string}   [encoding='utf8'] - The file encoding.
+    *
+    * @returns {AsyncIterable<*>} - An async iterable of the parsed records.
+    */
+   readNDJSON({ filePath, encoding = 'utf8' } = {})
+   {
+      const lines = this.readLinesStream({ filePath, lineStart: 0, lineEnd: Infinity, raw: true, encoding });
+
+      return {
+         [Symbol.asyncIterator]()
+         {
+            const iterator = lines[Symbol.asyncIterator]();
+
+            let lineNumber = 0;
+
+            return {
+               'next': async () =>
+               {
+                  for (let result = await iterator.next(); !result.done; result = await iterator.next())
+                  {
+                     lineNumber++;
+
+                     if (result.value.trim() === '') { continue; }
+
+                     try
+                     {
+                        return { value: JSON.parse(result.value), done: false };
+                     }
+                     catch (err)
+                     {
+                        await iterator.return();
+
+                        throw new SyntaxError(
+                         `Failed to parse NDJSON '${filePath}' line ${lineNumber}: ${err.message}`);
+                     }
+                  }
+
+                  return { value: void 0, done: true };
+               },
+
+               'return': () => iterator.return()
+            };
+         }
+      };
+   }
+
+   /**
+    * Maps paths relative to `fromBase` to the same relative paths under `toBase`. Both `\\` and `/` are treated as
+    * separators and the results are `/` separated.
+    *
+    * @example
+    * fileUtil.rebasePaths(['src/api/a.js', 'src/b.js'], 'src', 'docs');   // ['docs/api/a.js', 'docs/b.js']
+    *
+    * @param {string[]} paths - Paths within `fromBase`.
+    *
+    * @param {string}   fromBase - The current base path.
+    *
+    * @param {string}   toBase - The new base path.
+    *
+    * @returns {string[]} - The rebased paths.
+    */
+   rebasePaths(paths, fromBase, toBase)
+   {
+      if (!Array.isArray(paths)) { throw new TypeError(`'paths' is not an 'array'.`); }
+      if (typeof fromBase !== 'string') { throw new TypeError(`'fromBase' is not a 'string'.`); }
+      if (typeof toBase !== 'string') { throw new TypeError(`'toBase' is not a 'string'.`); }
+
+      const normalizedFromBase = s_NORMALIZE_SEPARATORS(fromBase);
+      const normalizedToBase = s_NORMALIZE_SEPARATORS(toBase);
+
+      return paths.map((entry) =>
+      {
+         if (typeof entry !== 'string') { throw new TypeError(`'paths' entry is not a 'string'.`); }
+
+         const relativePath = path.posix.relative(normalizedFromBase, s_NORMALIZE_SEPARATORS(entry));
+
+         if (relativePath === '..' || relativePath.startsWith('../') || path.posix.isAbsolute(relativePath))
+         {
+            throw new Error(`'${entry}' is outside of 'fromBase': ${fromBase}`);
+         }
+
+         return path.posix.join(normalizedToBase, relativePath);
+      });
+   }
+
+   /**
+    * Records a file operation in the operation log.
+    *
+    * @param {string}   type - The operation type.
+    *
+    * @param {string}   filePath - The destination file path.
+    *
+    * @param {string}   [resolvedPath] - The resolved destination; defaults to `filePath` resolved against the active
+    *                                    archive or `relativePath`.
+    *
+    * @param {number|null}   size - The size in bytes if known.
+    *
+    * @param {object|null}   [instance=null] - The archive instance containing the destination.
+    *
+    * @private
+    */
+   _recordOperation({ type, filePath, resolvedPath = void 0, size, instance = null })
+   {
+      if (typeof resolvedPath !== 'string')
+      {
+         resolvedPath = instance !== null ? `${s_GET_ARCHIVE_RESOLVED_PATH(instance)}!/${filePath}` :
+          this._resolveDestination(filePath);
+      }
+
+      this._operationLog.push({
+         type,
+         filePath,
+         resolvedPath,
+         size,
+         inArchive: instance !== null,
+         archive: instance !== null ? instance.archivePath : null
+      });
+   }
+
+   /**
+    * Registers a compression format handler which may be selected by the `compressFormat` option and read by
+    * `archiveExtract` / `archiveList`. Registering an existing compression format replaces its handler.
+    *
+    * @param {string}                  compressFormat - Compression format name; also the archive file extension.
+    *
+    * @param {CompressFormatHandler}   handler - The compression format handler.
+    */
+   registerCompressFormat({ compressFormat, handler } = {})
+   {
+      if (typeof compressFormat !== 'string') { throw new TypeError(`'compressFormat' is not a 'string'.`); }
+      if (typeof handler !== 'object' || handler === null) { throw new TypeError(`'handler' is not an 'object'.`); }
+      if (typeof handler.format !== 'string') { throw new TypeError(`'handler.format' is not a 'string'.`); }
+
+      for (const fn of ['archiverOptions', 'compress', 'decompress'])
+      {
+         if (typeof handler[fn] !== 'undefined' && typeof handler[fn] !== 'function')
+         {
+            throw new TypeError(`'handler.${fn}' is not a 'function'.`);
+         }
+      }
+
+      if (typeof handler.extensions !== 'undefined' && !Array.isArray(handler.extensions))
+      {
+         throw new TypeError(`'handler.extensions' is not an 'array'.`);
+      }
+
+      this._compressFormats.set(compressFormat, handler);
+   }
+
+   /**
+    * Returns each path relative to the common base directory of all paths. The last segment of each path is treated as
+    * a file name, so a single path is returned as its file name. Paths with differing roots have no common base and
+    * are returned with `/` separators.
+    *
+    * @example
+    * fileUtil.relativeToCommon(['/docs/api/a.js', '/docs/b.js']);   // ['api/a.js', 'b.js']
+    *
+    * @param {string[]}          paths - File paths.
+    *
+    * @param {object}            [options] - Options.
+    *
+    * @param {boolean}           [options.caseInsensitive=false] - When true path segments are compared case
+    *                                                               insensitively.
+    *
+    * @returns {string[]} - The `/` separated relative paths.
+    */
+   relativeToCommon(paths, { caseInsensitive = false } = {})
+   {
+      if (!Array.isArray(paths)) { throw new TypeError(`'paths' is not an 'array'.`); }
+      if (typeof caseInsensitive !== 'boolean') { throw new TypeError(`'caseInsensitive' is not a 'boolean'.`); }
+
+      for (const entry of paths)
+      {
+         if (typeof entry !== 'string') { throw new TypeError(`'paths' entry is not a 'string'.`); }
+      }
+
+      const parsed = paths.map(s_SPLIT_PATH);
+
+      // The file name of each path is excluded from the common base.
+      const depth = s_COUNT_COMMON_SEGMENTS(parsed.map((entry) => ({ root: entry.root,
+       segments: entry.segments.slice(0, -1) })), caseInsensitive);
+
+      if (depth < 0) { return paths.map(s_NORMALIZE_SEPARATORS); }
+
+      return parsed.map((entry) => entry.segments.slice(depth).join('/'));
+   }
+
+   /**
+    * Removes an archive instance from the archive stack and the active archives.
+    *
+    * @param {object}   instance - An archive instance.
+    *
+    * @private
+    */
+   _releaseArchive(instance)
+   {
+      const index = this.archiverStack.indexOf(instance);
+
+      if (index >= 0) { this.archiverStack.splice(index, 1); }
+
+      if (this._activeArchives.delete(instance) && instance.parent !== null) { instance.parent.activeChildren--; }
+   }
+
+   /**
+    * Records that the output a resolved destination in the staging directory of an active transaction replaces is
+    * removed so that a commit does not merge it back into the output.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @private
+    */
+   _removeOutput(resolvedPath)
+   {
+      const outputPath = this._getOutputPath(resolvedPath);
+
+      if (outputPath !== resolvedPath) { this._transaction.removed.add(outputPath); }
+   }
+
+   /**
+    * Resolves a destination path against `relativePath` or the staging directory of an active transaction.
+    *
+    * @param {string}   filePath - Destination path.
+    *
+    * @returns {string} - The resolved destination path.
+    * @private
+    */
+   _resolveDestination(filePath)
+   {
+      const transaction = this._transaction;
+
+      return transaction !== null && !transaction.dryRun ? path.resolve(transaction.stagingPath, filePath) :
+       s_RESOLVE_RELATIVE(this._options, filePath);
+   }
+
+   /**
+    * Saves the incremental manifest to `incrementalManifest` resolved against `relativePath` if it has changed. Invoke
+    * after incremental writes complete so that the next run may skip unchanged files.
+    */
+   saveIncrementalManifest()
+   {
+      if (this._incrementalManifest !== null && this._incrementalManifest.dirty)
+      {
+         fs.outputJsonSync(s_RESOLVE_RELATIVE(this._options, this._options.incrementalManifest),
+          this._incrementalManifest.entries);
+
+         this._incrementalManifest.dirty = false;
+      }
+   }
+
+   /**
+    * Sets the incremental manifest entry of a written destination.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @param {string}   hash - The hash of the written content.
+    *
+    * @param {fs.Stats} [stats] - The stats of the destination; retrieved when not provided.
+    *
+    * @private
+    */
+   _setIncrementalEntry(resolvedPath, hash, stats = fs.statSync(resolvedPath))
+   {
+      const manifest = this._getIncrementalManifest();
+
+      manifest.entries[this._getManifestKey(resolvedPath)] = { hash, size: stats.size,
+       mtimeMs: stats.mtimeMs };
+
+      manifest.dirty = true;
+   }
+
+   /**
+    * Set optional parameters.
+    *
+    * @param {FileUtilOptions} options - Defines optional parameters to set.
+    */
+   setOptions(options = {})
+   {
+      if (typeof options !== 'object') { throw new TypeError(`'options' is not an 'object'.`); }
+
+      if (this._transaction !== null && typeof options.relativePath === 'string')
+      {
+         throw new Error(`'relativePath' may not be changed while a transaction is active.`);
+      }
+
+      if (!this._options.lockRelative && typeof options.relativePath === 'string')
+      {
+         this._options.relativePath = options.relativePath;
+      }
+
+      // Only set `confineToRelative` if `lockRelative` has not been set to true.
+      if (!this._options.lockRelative && (typeof options.confineToRelative === 'boolean' ||
+       options.confineToRelative === 'normalize'))
+      {
+         this._options.confineToRelative = options.confineToRelative;
+      }
+
+      // Only set `lockRelative` if it already has not been set to true.
+      if (!this._options.lockRelative && typeof options.lockRelative === 'boolean')
+      {
+         this._options.lockRelative = options.lockRelative;
+      }
+
+      if (typeof options.atomic === 'boolean') { this._options.atomic = options.atomic; }
+      if (typeof options.compressFormat === 'string') { this._options.compressFormat = options.compressFormat; }
+      if (typeof options.dryRun === 'boolean') { this._options.dryRun = options.dryRun; }
+      if (typeof options.compressLevel === 'number') { this._options.compressLevel = options.compressLevel; }
+
+      if (Number.isInteger(options.concurrency) && options.concurrency > 0)
+      {
+         this._options.concurrency = options.concurrency;
+      }
+
+      if (typeof options.compressOptions === 'object' && options.compressOptions !== null)
+      {
+         this._options.compressOptions = options.compressOptions;
+      }
+      if (typeof options.eventbus === 'object') { this._options.eventbus = options.eventbus; }
+      if (typeof options.incremental === 'boolean') { this._options.incremental = options.incremental; }
+
+      if (typeof options.incrementalManifest === 'string' && options.incrementalManifest !== '')
+      {
+         this._options.incrementalManifest = options.incrementalManifest;
+         this._incrementalManifest = null;
+      }
+
+      if (typeof options.logEvent === 'string') { this._options.logEvent = options.logEvent; }
+
+      if (typeof options.logger === 'function' || options.logger === 'console' || options.logger === null)
+      {
+         this._options.logger = options.logger;
+      }
+
+      if (typeof s_LOG_LEVELS[options.logLevel] === 'number') { this._options.logLevel = options.logLevel; }
+      if (typeof options.reproducible === 'boolean') { this._options.reproducible = options.reproducible; }
+
+      if ((Number.isInteger(options.sourceDateEpoch) && options.sourceDateEpoch >= 0) ||
+       options.sourceDateEpoch === null)
+      {
+         this._options.sourceDateEpoch = options.sourceDateEpoch;
+      }
+      if (typeof options.trackOutput === 'boolean') { this._options.trackOutput = options.trackOutput; }
+
+      if (typeof options.transforms === 'object' && options.transforms !== null)
+      {
+         for (const key of Object.keys(options.transforms))
+         {
+            if (![].concat(options.transforms[key]).every((transform) => typeof transform === 'function'))
+            {
+               throw new TypeError(`'transforms['${key}']' is not a 'function' or an array of functions.`);
+            }
+         }
+
+         this._options.transforms = options.transforms;
+      }
+   }
+
+   /**
+    * Mirrors a source directory to a destination path or relative path copying only new or changed files. Unlike
+    * emptying the destination and copying everything, unchanged files remain in place throughout the sync. Transforms
+    * are not applied and a sync may not target an active archive. When an eventbus is set `util:file:copy:progress` is
+    * triggered after each source file is processed.
+    *
+    * @param {string}   srcPath - Source directory path.
+    *
+    * @param {string}   destPath - Destination directory path.
+    *
+    * @param {boolean}  [delete=false] - When true destination files and directories that no longer exist in the
+    *                                    source are removed.
+    *
+    * @param {string}   [compare='mtime'] - How existing destination files are compared with the source; either
+    *                                       `mtime` comparing size and modification time or `hash` comparing content.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @returns {SyncResult} - The `/` separated paths relative to `destPath` of added, updated, removed and unchanged
+    *                         files with the number and total size of the files copied.
+    */
+   sync({ srcPath, destPath, delete: deleteStale = false, compare = 'mtime', logPrepend = '', silent = false } = {})
+   {
+      if (typeof srcPath !== 'string') { throw new TypeError(`'srcPath' is not a 'string'.`); }
+      if (typeof destPath !== 'string') { throw new TypeError(`'destPath' is not a 'string'.`); }
+      if (typeof deleteStale !== 'boolean') { throw new TypeError(`'delete' is not a 'boolean'.`); }
+      if (compare !== 'mtime' && compare !== 'hash') { throw new TypeError(`'compare' is not 'mtime' or 'hash'.`); }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+
+      if (!fs.existsSync(srcPath) || !fs.statSync(srcPath).isDirectory())
+      {
+         throw new Error(`'srcPath' is not a directory: ${srcPath}`);
+      }
+
+      if (this._getArchive() !== null) { throw new Error(`'sync' may not target an active archive.`); }
+
+      destPath = this._confinePath('destPath', destPath);
+
+      const resolvedDestPath = this._resolveDestination(destPath);
+
+      // During a transaction the destination also holds the output which is not staged yet.
+      const outputDestPath = this._getOutputPath(resolvedDestPath);
+      const removedOutput = this._transaction !== null ? this._transaction.removed : new Set();
+
+      const source = s_WALK_DIRECTORY(srcPath);
+      const destFileSet = new Set();
+      const destDirectorySet = new Set();
+
+      for (const dirPath of new Set([resolvedDestPath, outputDestPath]))
+      {
+         if (!fs.existsSync(dirPath)) { continue; }
+
+         const walked = s_WALK_DIRECTORY(dirPath);
+
+         // Output removed earlier in the transaction is not merged on commit.
+         const isRemoved = (entry) => dirPath === outputDestPath && removedOutput.has(path.join(dirPath, entry));
+
+         for (const file of walked.files) { if (!isRemoved(file)) { destFileSet.add(file); } }
+         for (const directory of walked.directories) { if (!isRemoved(directory)) { destDirectorySet.add(directory); } }
+      }
+
+      const dest = { files: Array.from(destFileSet).sort(), directories: Array.from(destDirectorySet).sort() };
+
+      const result = { added: [], updated: [], removed: [], unchanged: [], files: 0, bytes: 0 };
+
+      // Stale files are removed first so that source files may replace destination directories of the same name.
+      if (deleteStale)
+      {
+         const sourceFiles = new Set(source.files);
+         const sourceDirectories = new Set(source.directories);
+
+         for (const file of dest.files)
+         {
+            if (sourceFiles.has(file)) { continue; }
+
+            const filePath = path.posix.join(destPath, file);
+            const resolvedPath = path.join(resolvedDestPath, file);
+
+            result.removed.push(file);
+
+            if (!silent)
+            {
+               this._log(`${logPrepend}removed: ${filePath}`, { operation: 'remove', filePath, resolvedPath,
+                archive: null });
+            }
+
+            if (this._options.dryRun)
+            {
+               this._recordOperation({ type: 'remove', filePath, resolvedPath, size: null });
+            }
+            else
+            {
+               fs.removeSync(resolvedPath);
+
+               this._trackedOutput.delete(resolvedPath);
+
+               this._removeOutput(resolvedPath);
+            }
+         }
+
+         if (!this._options.dryRun)
+         {
+            for (const directory of dest.directories)
+            {
+               if (sourceDirectories.has(directory)) { continue; }
+
+               fs.removeSync(path.join(resolvedDestPath, directory));
+
+               this._removeOutput(path.join(resolvedDestPath, directory));
+            }
+         }
+      }
+
+      const destFiles = new Set(dest.files);
+
+      const progress = this._createCopyProgress(destPath, source.files.map((file) => path.join(srcPath, file)));
+
+      for (const file of source.files)
+      {
+         const srcFilePath = path.join(srcPath, file);
+         const filePath = path.posix.join(destPath, file);
+         const resolvedPath = path.join(resolvedDestPath, file);
+
+         if (!destFiles.has(file))
+         {
+            result.added.push(file);
+         }
+         else if (s_IS_FILE_CHANGED(srcFilePath, fs.existsSync(resolvedPath) ? resolvedPath :
+          this._getOutputPath(resolvedPath), compare))
+         {
+            result.updated.push(file);
+         }
+         else
+         {
+            result.unchanged.push(file);
+
+            this._trackOutput(resolvedPath);
+
+            progress(srcFilePath, filePath);
+
+            continue;
+         }
+
+         if (!silent)
+         {
+            this._log(`${logPrepend}copied: ${filePath}`, { operation: 'copy', filePath, resolvedPath, archive: null });
+         }
+
+         const size = fs.statSync(srcFilePath).size;
+
+         result.files++;
+         result.bytes += size;
+
+         if (this._options.dryRun)
+         {
+            this._recordOperation({ type: 'copy', filePath, resolvedPath, size });
+         }
+         else
+         {
+            // Timestamps are preserved so that a following `mtime` comparison finds the file unchanged.
+            fs.copySync(srcFilePath, resolvedPath, { preserveTimestamps: true });
+
+            this._trackOutput(resolvedPath);
+         }
+
+         progress(srcFilePath, filePath);
+      }
+
+      return result;
+   }
+
+   /**
+    * Triggers an event prepended by `eventPrepend` on the eventbus if one is set.
+    *
+    * @param {string}   eventName - The event name without `eventPrepend`.
+    *
+    * @param {object}   data - The event data.
+    *
+    * @private
+    */
+   _triggerEvent(eventName, data)
+   {
+      if (this._options.eventbus) { this._options.eventbus.trigger(`${this._eventPrepend}${eventName}`, data); }
+   }
+
+   /**
+    * Adds an archive instance to the active archives.
+    *
+    * @param {object}   instance - An archive instance.
+    *
+    * @returns {object} - The archive instance.
+    * @private
+    */
+   _trackArchive(instance)
+   {
+      if (instance.parent !== null) { instance.parent.activeChildren++; }
+
+      this._activeArchives.add(instance);
+
+      return instance;
+   }
+
+   /**
+    * Tracks the files written by copying a source file or directory when the `trackOutput` option is enabled.
+    *
+    * @param {string}   srcPath - Source path.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @private
+    */
+   _trackCopy(srcPath, resolvedPath)
+   {
+      if (!this._options.trackOutput) { return; }
+
+      // Symbolic links are copied as links so they are tracked as files.
+      if (fs.lstatSync(srcPath).isDirectory())
+      {
+         for (const entry of fs.readdirSync(srcPath))
+         {
+            this._trackCopy(path.join(srcPath, entry), path.join(resolvedPath, entry));
+         }
+      }
+      else
+      {
+         this._trackOutput(resolvedPath);
+      }
+   }
+
+   /**
+    * Asynchronously tracks the files written by copying a source file or directory like `_trackCopy`.
+    *
+    * @param {string}   srcPath - Source path.
+    *
+    * @param {string}   resolvedPath - Resolved destination path.
+    *
+    * @private
+    */
+   async _trackCopyAsync(srcPath, resolvedPath)
+   {
+      if (!this._options.trackOutput) { return; }
+
+      if ((await fs.lstat(srcPath)).isDirectory())
+      {
+         for (const entry of await fs.readdir(srcPath))
+         {
+            await this._trackCopyAsync(path.join(srcPath, entry), path.join(resolvedPath, entry));
+         }
+      }
+      else
+      {
+         this._trackOutput(resolvedPath);
+      }
+   }
+
+   /**
+    * Tracks a file written to the file system when the `trackOutput` option is enabled.
+    *
+    * @param {string}   resolvedPath - Resolved file path.
+    *
+    * @param {boolean}  [isArchive=false] - True when the file is an archive created by `archiveCreate`.
+    *
+    * @private
+    */
+   _trackOutput(resolvedPath, isArchive = false)
+   {
+      if (this._options.trackOutput) { this._trackedOutput.set(resolvedPath, isArchive); }
+   }
+
+   /**
+    * Starts a transaction staging all output in a directory next to `relativePath`; IE `out` is staged in
+    * `.out.staging`. Until the transaction ends every method writing to `relativePath` writes to the staging directory
+    * instead while `relativePath` and globs resolved against it are unchanged. `commit` links any unchanged output
+    * into the staging directory unless `emptyRelativePath` emptied it during the transaction, then swaps the staging
+    * directory with `relativePath` by renaming so that the output is replaced atomically. `rollback` discards the
+    * staged files leaving the output untouched. When `dryRun` is enabled output is not staged and ending the
+    * transaction has no effect.
+    *
+    * @returns {FileTransaction} - The transaction.
+    */
+   transaction()
+   {
+      if (typeof this._options.relativePath !== 'string')
+      {
+         throw new Error(`'transaction' requires the 'relativePath' option.`);
+      }
+
+      if (this._transaction !== null) { throw new Error(`A transaction is already active.`); }
+      if (this._activeArchives.size > 0)
+      {
+         throw new Error(`A transaction may not start while an archive is active.`);
+      }
+
+      const resolvedPath = path.resolve(this._options.relativePath);
+      const dirname = path.dirname(resolvedPath);
+      const basename = path.basename(resolvedPath);
+
+      const transaction = {
+         relativePath: this._options.relativePath,
+         resolvedPath,
+         stagingPath: path.join(dirname, `.${basename}.staging`),
+         backupPath: path.join(dirname, `.${basename}.backup`),
+         dryRun: this._options.dryRun,
+         emptied: false,
+         removed: new Set()
+      };
+
+      // Any staging directory left by an interrupted transaction is discarded.
+      if (!transaction.dryRun) { fs.emptyDirSync(transaction.stagingPath); }
+
+      this._transaction = transaction;
+
+      return {
+         stagingPath: transaction.stagingPath,
+         commit: () => this._endTransaction(transaction, true),
+         rollback: () => this._endTransaction(transaction, false)
+      };
+   }
+
+   /**
+    * Mirrors the files matched by `hydrateGlob` to a destination path or relative path preserving the directory
+    * structure relative to `base`. After an initial sync changes to the sources are watched and after `debounce`
+    * milliseconds without further changes new or modified files are copied by `copy` and the destinations of removed
+    * files are deleted. A watch may not target an active archive; a sync after changes while an archive is active
+    * fails and logs an error.
+    *
+    * @param {string|Array<string>} globs - A string or array of strings defining file globs.
+    *
+    * @param {string}   destPath - Destination directory path.
+    *
+    * @param {string}   [base] - The directory the structure is preserved relative to; resolved against the glob
+    *                            `cwd`. Defaults to the common path of the files matched by the initial sync.
+    *
+    * @param {function|object}   [rename] - A function or object renaming destination paths; see `copyGlob`.
+    *
+    * @param {object}   [globOptions] - Optional parameters passed to `hydrateGlob`.
+    *
+    * @param {number}   [debounce=100] - Milliseconds to wait after the last change before syncing.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @returns {FileWatchHandle} - A handle to await the watcher being ready and to close it.
+    */
+   watch({ globs, destPath, base = void 0, rename = void 0, globOptions = {}, debounce = 100, logPrepend = '',
+    silent = false } = {})
+   {
+      if (typeof destPath !== 'string') { throw new TypeError(`'destPath' is not a 'string'.`); }
+      if (typeof base !== 'undefined' && typeof base !== 'string') { throw new TypeError(`'base' is not a 'string'.`); }
+      if (typeof rename !== 'undefined' && typeof rename !== 'function' && (typeof rename !== 'object' ||
+       rename === null))
+      {
+         throw new TypeError(`'rename' is not a 'function' or an 'object'.`);
+      }
+      if (typeof globOptions !== 'object' || globOptions === null)
+      {
+         throw new TypeError(`'globOptions' is not an 'object'.`);
+      }
+      if (typeof debounce !== 'number' || debounce < 0)
+      {
+         throw new TypeError(`'debounce' is not a positive 'number'.`);
+      }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+
+      const { includes } = s_NORMALIZE_GLOBS(globs);
+      const cwd = s_GET_HYDRATE_OPTIONS(this._options, globOptions).cwd;
+
+      // Maps source paths to the modification time, size and destination path of the last copy.
+      const mirrored = new Map();
+
+      let resolvedBase = null;
+      let timeout = null;
+      let closed = false;
+
+      const sync = () =>
+      {
+         if (this._getArchive() !== null) { throw new Error(`'watch' may not target an active archive.`); }
+
+         const { files } = this.hydrateGlob(globs, Object.assign({}, globOptions, { absolute: true }));
+
+         // The base is fixed by the initial sync so that destinations do not move as files are added.
+         if (resolvedBase === null) { resolvedBase = this._getGlobBase(base, globOptions, files); }
+
+         for (const srcPath of files)
+         {
+            const stats = fs.statSync(srcPath);
+            const entry = mirrored.get(srcPath);
+
+            if (entry && entry.mtimeMs === stats.mtimeMs && entry.size === stats.size) { continue; }
+
+            // The confined destination is stored so that a later removal targets the same path as the copy.
+            const fileDestPath = this._confinePath('destPath',
+             s_GET_GLOB_DEST_PATH(resolvedBase, srcPath, destPath, rename));
+
+            this.copy({ srcPath, destPath: fileDestPath, logPrepend, silent });
+
+            mirrored.set(srcPath, { mtimeMs: stats.mtimeMs, size: stats.size, destPath: fileDestPath });
+         }
+
+         const current = new Set(files);
+
+         for (const [srcPath, entry] of mirrored)
+         {
+            if (current.has(srcPath)) { continue; }
+
+            if (!silent)
+            {
+               this._log(`${logPrepend}removed: ${entry.destPath}`, { operation: 'remove', filePath: entry.destPath,
+                archive: null });
+            }
+
+            if (this._options.dryRun)
+            {
+               this._recordOperation({ type: 'remove', filePath: entry.destPath, size: null });
+            }
+            else
+            {
+               fs.removeSync(this._resolveDestination(entry.destPath));
+            }
+
+            mirrored.delete(srcPath);
+         }
+      };
+
+      sync();
+
+      const watcher = chokidar.watch(includes.map((entry) => s_TO_POSIX(path.resolve(cwd, entry))),
+       { ignoreInitial: true });
+
+      watcher.on('all', () =>
+      {
+         if (closed) { return; }
+
+         clearTimeout(timeout);
+
+         timeout = setTimeout(() =>
+         {
+            try { sync(); }
+            catch (err)
+            {
+               this._log(`${logPrepend}FileUtil.watch: sync failed: ${err.message}`, { level: 'error',
+                operation: 'watch', filePath: destPath, archive: null });
+            }
+         }, debounce);
+      });
+
+      watcher.on('error', (err) => this._log(`${logPrepend}FileUtil.watch: ${err.message}`, { level: 'error',
+       operation: 'watch', filePath: destPath, archive: null }));
+
+      let resolveReady;
+
+      // Closing before the sources are watched also resolves `ready`.
+      const ready = new Promise((resolve) =>
+      {
+         resolveReady = resolve;
+
+         watcher.on('ready', resolve);
+      });
+
+      return {
+         ready,
+
+         close: () =>
+         {
+            closed = true;
+            clearTimeout(timeout);
+            resolveReady();
+
+            return watcher.close();
+         }
+      };
+   }
+
+   /**
+    * Write a file to file path or relative path.
+    *
+    * @param {object}   fileData - The file data.
+    *
+    * @param {string}   filePath - A relative file path and name to `config.destination`.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @param {string}   [encoding='utf8'] - The encoding type.
+    *
+    * @param {boolean}  [incremental] - When true the write is skipped if the destination already holds identical
+    *                                   bytes; defaults to the `incremental` option.
+    *
+    * @param {boolean}  [atomic] - When true the file is written to a temporary file renamed into place; defaults to
+    *                              the `atomic` option.
+    *
+    * @returns {string|null} - `created` or `written` for file system writes, `skipped` for unchanged incremental
+    *          writes, `written` for archive entries and null when `dryRun` is enabled.
+    */
+   writeFile({ fileData, filePath, logPrepend = '', silent = false, encoding = 'utf8',
+    incremental = this._options.incremental, atomic = this._options.atomic } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+      if (typeof encoding !== 'string') { throw new TypeError(`'encoding' is not a 'string'.`); }
+      if (typeof incremental !== 'boolean') { throw new TypeError(`'incremental' is not a 'boolean'.`); }
+      if (typeof atomic !== 'boolean') { throw new TypeError(`'atomic' is not a 'boolean'.`); }
+      if (typeof fileData === 'undefined' || fileData === null)
+      {
+         throw new TypeError(`'filePath' is not a 'string'.`);
+      }
+
+      filePath = this._confinePath('filePath', filePath);
+
+      fileData = this._applyTransforms(fileData, filePath, encoding);
+
+      if (!silent) { this._log(`${logPrepend}output: ${filePath}`, { operation: 'write', filePath }); }
+
+      const instance = this._getArchive();
+
+      if (this._options.dryRun || (instance !== null && instance.dryRun))
+      {
+         this._recordOperation({ type: 'write', filePath, size: s_GET_DATA_SIZE(fileData, encoding), instance });
+
+         return null;
+      }
+
+      if (instance !== null)
+      {
+         this._archiveAppend(instance, fileData, filePath);
+
+         return 'written';
+      }
+
+      // If this._options.relativePath is defined then resolve the relative path against filePath.
+      const resolvedPath = this._resolveDestination(filePath);
+
+      // Only string and Buffer data may be hashed for incremental writes.
+      const hash = incremental ? s_HASH_FILE_DATA(fileData, encoding) : null;
+
+      const status = hash !== null ? this._getIncrementalStatus(resolvedPath, hash) :
+       fs.existsSync(resolvedPath) ? 'written' : 'created';
+
+      if (status !== 'skipped')
+      {
+         if (atomic)
+         {
+            s_WRITE_FILE_ATOMIC(resolvedPath, fileData, encoding);
+         }
+         else
+         {
+            fs.outputFileSync(resolvedPath, fileData, { encoding });
+         }
+
+         if (hash !== null) { this._setIncrementalEntry(resolvedPath, hash); }
+      }
+
+      this._trackOutput(resolvedPath);
+
+      return status;
+   }
+
+   /**
+    * Asynchronously write a file to file path or relative path.
+    *
+    * @param {object}   fileData - The file data.
+    *
+    * @param {string}   filePath - A relative file path and name to `config.destination`.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @param {string}   [encoding='utf8'] - The encoding type.
+    *
+    * @param {boolean}  [incremental] - When true the write is skipped if the destination already holds identical
+    *                                   bytes; defaults to the `incremental` option.
+    *
+    * @param {boolean}  [atomic] - When true the file is written to a temporary file renamed into place; defaults to
+    *                              the `atomic` option.
+    *
+    * @returns {Promise<string|null>} - A promise resolved with `created` or `written` for file system writes,
+    *          `skipped` for unchanged incremental writes, `written` for archive entries and null when `dryRun` is
+    *          enabled.
+    */
+   async writeFileAsync({ fileData, filePath, logPrepend = '', silent = false, encoding = 'utf8',
+    incremental = this._options.incremental, atomic = this._options.atomic } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+      if (typeof encoding !== 'string') { throw new TypeError(`'encoding' is not a 'string'.`); }
+      if (typeof incremental !== 'boolean') { throw new TypeError(`'incremental' is not a 'boolean'.`); }
+      if (typeof atomic !== 'boolean') { throw new TypeError(`'atomic' is not a 'boolean'.`); }
+      if (typeof fileData === 'undefined' || fileData === null)
+      {
+         throw new TypeError(`'fileData' is not defined.`);
+      }
+
+      filePath = this._confinePath('filePath', filePath);
+
+      fileData = this._applyTransforms(fileData, filePath, encoding);
+
+      if (!silent) { this._log(`${logPrepend}output: ${filePath}`, { operation: 'write', filePath }); }
+
+      const instance = this._getArchive();
+
+      if (this._options.dryRun || (instance !== null && instance.dryRun))
+      {
+         this._recordOperation({ type: 'write', filePath, size: s_GET_DATA_SIZE(fileData, encoding), instance });
+
+         return null;
+      }
+
+      if (instance !== null)
+      {
+         this._archiveAppend(instance, fileData, filePath);
+
+         return 'written';
+      }
+
+      const resolvedPath = this._resolveDestination(filePath);
+
+      // Only string and Buffer data may be hashed for incremental writes.
+      const hash = incremental ? s_HASH_FILE_DATA(fileData, encoding) : null;
+
+      return this._limit(async () =>
+      {
+         const status = hash !== null ? await this._getIncrementalStatusAsync(resolvedPath, hash) :
+          await fs.pathExists(resolvedPath) ? 'written' : 'created';
+
+         if (status !== 'skipped')
+         {
+            if (atomic)
+            {
+               await s_WRITE_FILE_ATOMIC_ASYNC(resolvedPath, fileData, encoding);
+            }
+            else
+            {
+               await fs.outputFile(resolvedPath, fileData, { encoding });
+            }
+
+            if (hash !== null) { this._setIncrementalEntry(resolvedPath, hash, await fs.stat(resolvedPath)); }
+         }
+
+         this._trackOutput(resolvedPath);
+
+         return status;
+      });
+   }
+
+   /**
+    * Serializes data as JSON and writes it by `writeFile`, so the file is resolved against `relativePath` or added to
+    * an active archive. Sorting keys produces identical output regardless of the order keys were added.
+    *
+    * @param {*}        data - The data to serialize.
+    *
+    * @param {string}   filePath - A relative file path and name to `config.destination`.
+    *
+    * @param {boolean|function}  [sortKeys=false] - When true object keys are sorted by code unit or when a function
+    *                                               by the given compare function.
+    *
+    * @param {number|string}     [indent=3] - The indentation passed to `JSON.stringify`.
+    *
+    * @param {function} [replacer] - A replacer function passed to `JSON.stringify`.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @param {boolean}  [incremental] - When true the write is skipped if the destination already holds identical
+    *                                   bytes; defaults to the `incremental` option.
+    *
+    * @returns {string|null} - The result of `writeFile`.
+    */
+   writeJSON({ data, filePath, sortKeys = false, indent = 3, replacer = void 0, logPrepend = '', silent = false,
+    incremental = this._options.incremental } = {})
+   {
+      if (typeof indent !== 'number' && typeof indent !== 'string')
+      {
+         throw new TypeError(`'indent' is not a 'number' or 'string'.`);
+      }
+      if (typeof replacer !== 'undefined' && typeof replacer !== 'function')
+      {
+         throw new TypeError(`'replacer' is not a 'function'.`);
+      }
+
+      let value = data;
+
+      // The replacer is applied before sorting so that sorting includes any keys it adds.
+      if (typeof replacer === 'function')
+      {
+         const json = JSON.stringify(data, replacer);
+
+         if (typeof json !== 'string') { throw new TypeError(`'data' is not serializable as JSON.`); }
+
+         value = JSON.parse(json);
+      }
+
+      const fileData = `${s_STRINGIFY_JSON(value, sortKeys, indent, 'data')}\n`;
+
+      return this.writeFile({ fileData, filePath, logPrepend, silent, incremental });
+   }
+
+   /**
+    * Writes a manifest of all files tracked while the `trackOutput` option is enabled including the entries of
+    * archives created by `archiveCreate`. Each entry holds the path relative to `relativePath`, size and hash. Archive
+    * entries are denoted by the archive path and `!/`; IE `docs.tar.gz!/index.html`. The manifest is written as JSON or
+    * in a format compatible with `sha256sum` / `md5sum` etc. when `format` is `sum`. When `dryRun` is enabled the
+    * entries are returned and the write is recorded without writing the manifest.
+    *
+    * @param {string}   filePath - Manifest file path resolved against `relativePath`.
+    *
+    * @param {string}   [algorithm='sha256'] - A hash algorithm supported by `crypto.createHash`.
+    *
+    * @param {string}   [format='json'] - The manifest format: `json` or `sum`.
+    *
+    * @param {string}   [logPrepend=''] - A string to prepend any logged output.
+    *
+    * @param {boolean}  [silent=false] - When true `output: <destPath>` is logged.
+    *
+    * @returns {Promise<Array<{path: string, size: number, hash: string}>>} - A promise resolved with the manifest
+    *          entries.
+    */
+   async writeManifest({ filePath, algorithm = 'sha256', format = 'json', logPrepend = '', silent = false } = {})
+   {
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+      if (typeof algorithm !== 'string') { throw new TypeError(`'algorithm' is not a 'string'.`); }
+      if (format !== 'json' && format !== 'sum') { throw new TypeError(`'format' is not 'json' or 'sum'.`); }
+      if (typeof logPrepend !== 'string') { throw new TypeError(`'logPrepend' is not a 'string'.`); }
+      if (typeof silent !== 'boolean') { throw new TypeError(`'silent' is not a 'boolean'.`); }
+
+      if (!crypto.getHashes().includes(algorithm)) { throw new Error(`Unknown hash algorithm: '${algorithm}'.`); }
+
+      filePath = this._confinePath('filePath', filePath);
+
+      const resolvedPath = this._resolveDestination(filePath);
+
+      const entries = [];
+
+      for (const [trackedPath, isArchive] of this._trackedOutput)
+      {
+         // Skip the manifest itself and any files since removed.
+         if (trackedPath === resolvedPath || !fs.existsSync(trackedPath)) { continue; }
+
+         const key = this._getManifestKey(trackedPath);
+
+         entries.push(Object.assign({ path: key }, await s_HASH_STREAM(fs.createReadStream(trackedPath), algorithm)));
+
+         const archiveFormat = isArchive ? s_GET_ARCHIVE_FORMAT(this._compressFormats, trackedPath) : null;
+
+         if (archiveFormat !== null)
+         {
+            await s_HASH_ARCHIVE(trackedPath, archiveFormat.handler, `${key}!/`,
+             { algorithm, compressFormats: this._compressFormats }, entries);
+         }
+      }
+
+      entries.sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+      if (!silent)
+      {
+         this._log(`${logPrepend}output: ${filePath}`, { operation: 'write', filePath, resolvedPath, archive: null });
+      }
+
+      const fileData = format === 'json' ? JSON.stringify({ algorithm, files: entries }, null, 3) :
+       entries.map((entry) => `${entry.hash}  ${entry.path}\n`).join('');
+
+      if (this._options.dryRun)
+      {
+         this._recordOperation({ type: 'write', filePath, resolvedPath, size: Buffer.byteLength(fileData) });
+
+         return entries;
+      }
+
+      fs.outputFileSync(resolvedPath, fileData);
+
+      return entries;
+   }
+
+   /**
+    * Runs an operation with `_getArchive` returning the given archive instance instead of the top of the archive stack.
+    *
+    * @param {object}   instance - An archive instance.
+    *
+    * @param {function} operation - A synchronous operation.
+    *
+    * @returns {*} - The result of the operation.
+    * @private
+    */
+   _withArchive(instance, operation)
+   {
+      if (!this._activeArchives.has(instance))
+      {
+         throw new Error(`Archive '${instance.archivePath}' is no longer active.`);
+      }
+
+      const previousInstance = this._archiveOverride;
+
+      this._archiveOverride = instance;
+
+      try
+      {
+         return operation();
+      }
+      finally
+      {
+         this._archiveOverride = previousInstance;
+      }
+   }
+}
+
+/**
+ * Creates an instance of FileUtil and assigns several methods to the plugin eventbus.
+ *
+ * @param {PluginEvent}    ev - A plugin event.
+ *
+ * @ignore
+ */
+export function onPluginLoad(ev)
+{
+   new FileUtil().onPluginLoad(ev);
+}
+
+/**
+ * Rejects `archiveFinalize` when an archive, a child archive or the archive output stream reports an error or warning.
+ */
+export class ArchiveError extends Error
+{
+   /**
+    * Instantiate ArchiveError.
+    *
+    * @param {object}   instance - The failed archive instance.
+    *
+    * @param {Error}    cause - The first error or warning reported.
+    */
+   constructor(instance, cause)
+   {
+      const sourcePath = typeof cause.path === 'string' ? path.resolve(cause.path) : null;
+      const entry = s_GET_ARCHIVE_ENTRY(instance, cause, sourcePath);
+
+      const atEntry = entry !== null ? ` at entry '${entry}'` : '';
+
+      super(`Archive '${instance.archivePath}' (depth ${instance.depth}) failed${atEntry}: ${cause.message}`);
+
+      // Restore the prototype chain as transpiled classes do not extend built-in types.
+      Object.setPrototypeOf(this, ArchiveError.prototype);
+
+      /**
+       * The error name.
+       * @type {string}
+       */
+      this.name = 'ArchiveError';
+
+      /**
+       * The error code.
+       * @type {string}
+       */
+      this.code = 'ERR_ARCHIVE';
+
+      /**
+       * The archive aware path of the failed archive; IE `parent.tar.gz!/child.tar.gz`.
+       * @type {string}
+       */
+      this.archivePath = instance.archivePath;
+
+      /**
+       * The nesting level of the failed archive; `0` for a top level archive.
+       * @type {number}
+       */
+      this.depth = instance.depth;
+
+      /**
+       * The archive entry that failed if known.
+       * @type {string|null}
+       */
+      this.entry = entry;
+
+      /**
+       * The resolved source path that failed if known; IE a missing `copy` source.
+       * @type {string|null}
+       */
+      this.sourcePath = sourcePath;
+
+      /**
+       * The first error or warning reported.
+       * @type {Error}
+       */
+      this.cause = cause;
+
+      /**
+       * All errors and warnings reported by the archive.
+       * @type {Error[]}
+       */
+      this.errors = instance.errors.slice();
+   }
+}
+
+/**
+ * Thrown when the `confineToRelative` option is enabled and a destination path or archive entry name resolves outside
+ * of the relative path.
+ */
+export class PathConfinementError extends Error
+{
+   /**
+    * Instantiate PathConfinementError.
+    *
+    * @param {string}   message - The error message.
+    *
+    * @param {string}   filePath - The rejected path.
+    *
+    * @param {string}   basePath - The resolved base path that `filePath` escapes.
+    */
+   constructor(message, filePath, basePath)
+   {
+      super(message);
+
+      // Restore the prototype chain as transpiled classes do not extend built-in types.
+      Object.setPrototypeOf(this, PathConfinementError.prototype);
+
+      /**
+       * The error name.
+       * @type {string}
+       */
+      this.name = 'PathConfinementError';
+
+      /**
+       * The error code.
+       * @type {string}
+       */
+      this.code = 'ERR_PATH_CONFINEMENT';
+
+      /**
+       * The rejected path.
+       * @type {string}
+       */
+      this.filePath = filePath;
+
+      /**
+       * The resolved base path that `filePath` escapes.
+       * @type {string}
+       */
+      this.basePath = basePath;
+   }
+}
+
+// Module private ---------------------------------------------------------------------------------------------------
+
+/**
+ * Defines the log levels in ascending order of severity.
+ *
+ * @type {{debug: number, info: number, warn: number, error: number}}
+ * @ignore
+ */
+const s_LOG_LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+/**
+ * Helper method to log a message at or above the `logLevel` option. A {@link LogRecord} is passed to the `logger`
+ * option and over an eventbus if one is defined; `debug` records are triggered as `logEvent` and other levels as
+ * `log:<level>` with the message and record. Without an eventbus or `logger` warnings and errors are logged to the
+ * console.
+ *
+ * @param {FileUtilOptions}   options - FileUtil options.
+ *
+ * @param {*}                 message - A message to log.
+ *
+ * @param {object}            [record] - The log record fields besides the message.
+ *
+ * @ignore
+ */
+const s_LOG = (options, message, { level = 'debug', operation = null, path: filePath = null, resolvedPath = null,
+ archive = null, duration = null } = {}) =>
+{
+   if (s_LOG_LEVELS[level] < s_LOG_LEVELS[options.logLevel]) { return; }
+
+   const record = { level, message, operation, path: filePath, resolvedPath, archive, duration };
+
+   if (typeof options.logger === 'function')
+   {
+      options.logger(record);
+   }
+   else if (options.logger === 'console' || (!options.eventbus && s_LOG_LEVELS[level] >= s_LOG_LEVELS.warn))
+   {
+      s_LOG_CONSOLE(record);
+   }
+
+   if (options.eventbus)
+   {
+      const eventName = level === 'debug' ? options.logEvent : `log:${level}`;
+
+      if (eventName) { options.eventbus.trigger(eventName, message, record); }
+   }
+};
+
+/**
+ * The built-in console logger.
+ *
+ * @param {LogRecord}   record - A log record.
+ *
+ * @ignore
+ */
+const s_LOG_CONSOLE = (record) =>
+{
+   const duration = record.duration !== null ? ` (${record.duration}ms)` : '';
+
+   switch (record.level)
+   {
+      case 'error':
+         console.error(`[error] ${record.message}${duration}`);
+         break;
+
+      case 'warn':
+         console.warn(`[warn] ${record.message}${duration}`);
+         break;
+
+      default:
+         console.log(`[${record.level}] ${record.message}${duration}`);
+         break;
+   }
+};
+
+/**
+ * Finds the common base path of a collection of paths shared by `commonPath` and `commonMappedPath`.
+ *
+ * @param {string[]}          paths - Paths to find a common base path.
+ *
+ * @param {CommonPathOptions} options - Options.
+ *
+ * @returns {string} - The common base path or an empty string when there is none.
+ * @ignore
+ */
+const s_COMMON_PATH = (paths, { caseInsensitive = false, trailingSeparator = true, absolute = false } = {}) =>
+{
+   if (typeof caseInsensitive !== 'boolean') { throw new TypeError(`'caseInsensitive' is not a 'boolean'.`); }
+   if (typeof trailingSeparator !== 'boolean') { throw new TypeError(`'trailingSeparator' is not a 'boolean'.`); }
+   if (typeof absolute !== 'boolean') { throw new TypeError(`'absolute' is not a 'boolean'.`); }
+
+   const parsed = paths.map(s_SPLIT_PATH);
+   const depth = s_COUNT_COMMON_SEGMENTS(parsed, caseInsensitive);
+
+   if (depth < 0) { return ''; }
+
+   const segments = parsed[0].segments.slice(0, depth);
+
+   let commonPath = `${parsed[0].root}${segments.join('/')}`;
+
+   if (commonPath === '') { return commonPath; }
+
+   if (absolute) { commonPath = path.resolve(commonPath); }
+
+   const separator = absolute ? path.sep : '/';
+
+   if (trailingSeparator && !commonPath.endsWith(separator)) { commonPath += separator; }
+
+   // A root such as `/` or `C:/` keeps its separator.
+   if (!trailingSeparator && segments.length > 0 && commonPath.endsWith(separator))
+   {
+      commonPath = commonPath.slice(0, -1);
+   }
+
+   return commonPath;
+};
+
+/**
+ * Counts the leading segments shared by paths split by `s_SPLIT_PATH`.
+ *
+ * @param {Array<{root: string, segments: string[]}>} parsed - The split paths.
+ *
+ * @param {boolean}  caseInsensitive - When true segments are compared case insensitively.
+ *
+ * @returns {number} - The count of common segments or `-1` when there are no paths or the roots differ.
+ * @ignore
+ */
+const s_COUNT_COMMON_SEGMENTS = (parsed, caseInsensitive) =>
+{
+   if (parsed.length === 0) { return -1; }
+
+   const root = parsed[0].root.toLowerCase();
+
+   // Drive letters and UNC roots are always compared case insensitively.
+   if (!parsed.every((entry) => entry.root.toLowerCase() === root)) { return -1; }
+
+   const normalize = (segment) => caseInsensitive ? segment.toLowerCase() : segment;
+   const length = Math.min(...parsed.map((entry) => entry.segments.length));
+
+   let depth = 0;
+
+   while (depth < length && parsed.every((entry) => normalize(entry.segments[depth]) ===
+    normalize(parsed[0].segments[depth])))
+   {
+      depth++;
+   }
+
+   return depth;
+};
+
+/**
+ * Defines the built-in compression format handlers. `tar` based formats are compressed / decompressed by a zlib
+ * stream.
+ *
+ * @type {Array<Array<string|CompressFormatHandler>>}
+ * @ignore
+ */
+const s_COMPRESS_FORMATS =
+[
+   ['tar', { format: 'tar' }],
+   ['tar.br', {
+      format: 'tar',
+      // Brotli quality is limited to 0 - 11 unlike the zlib levels of -1 - 9.
+      compress: ({ level }) => zlib.createBrotliCompress({ params: {
+         [zlib.constants.BROTLI_PARAM_QUALITY]: Math.max(zlib.constants.BROTLI_MIN_QUALITY,
+          Math.min(level, zlib.constants.BROTLI_MAX_QUALITY))
+      } }),
+      decompress: () => zlib.createBrotliDecompress()
+   }],
+   ['tar.gz', {
+      format: 'tar',
+      extensions: ['tgz'],
+      compress: ({ level }) => zlib.createGzip({ level }),
+      decompress: () => zlib.createGunzip()
+   }],
+   ['zip', {
+      format: 'zip',
+      archiverOptions: ({ level }) => ({ zlib: { level } })
+   }]
+];
+
+/**
+ * Recursively extracts an archive and any nested child archives.
+ *
+ * @param {string|Buffer}  source - An archive file path or buffer holding archive data.
+ *
+ * @param {CompressFormatHandler}   handler - The archive compression format handler.
+ *
+ * @param {string}         destPath - Resolved destination directory.
+ *
+ * @param {string}         prefix - Path prefix of nested child archive entries.
+ *
+ * @param {object}         options - Extraction options `{ compressFormats, filter, nested }`.
+ *
+ * @param {string[]}       extracted - Collects extracted file paths relative to `destPath`.
+ *
+ * @returns {Promise} - A promise resolved once all entries are extracted.
+ * @ignore
+ */
+const s_EXTRACT_ARCHIVE = (source, handler, destPath, prefix, options, extracted) =>
+{
+   return s_WALK_ARCHIVE(source, handler, async (entry, entryStream) =>
+   {
+      const name = `${prefix}${entry.name}`;
+
+      if (typeof options.filter === 'function' && !options.filter(Object.assign({}, entry, { name })))
+      {
+         if (entryStream) { entryStream.resume(); }
+         return;
+      }
+
+      const targetPath = path.resolve(destPath, name);
+
+      // Guard against entries such as `../file` escaping the destination directory.
+      if (s_IS_OUTSIDE_PATH(destPath, targetPath))
+      {
+         if (entryStream) { entryStream.resume(); }
+         throw new Error(`Archive entry '${name}' resolves outside of 'destPath'.`);
+      }
+
+      const childFormat = options.nested && entry.type === 'file' ?
+       s_GET_ARCHIVE_FORMAT(options.compressFormats, name) : null;
+
+      if (childFormat !== null)
+      {
+         const data = await s_STREAM_TO_BUFFER(entryStream);
+
+         // An entry with an archive extension that is not readable as an archive is extracted as a plain file.
+         if (await s_IS_ARCHIVE_DATA(data, childFormat.handler))
+         {
+            const childPrefix = `${name.slice(0, -(childFormat.extension.length + 1))}/`;
+
+            await s_EXTRACT_ARCHIVE(data, childFormat.handler, destPath, childPrefix, options, extracted);
+         }
+         else
+         {
+            fs.outputFileSync(targetPath, data);
+
+            extracted.push(name);
+         }
+      }
+      else if (entry.type === 'directory')
+      {
+         fs.ensureDirSync(targetPath);
+      }
+      else if (entry.type === 'file')
+      {
+         fs.ensureDirSync(path.dirname(targetPath));
+
+         await new Promise((resolve, reject) =>
+         {
+            stream.pipeline(entryStream, fs.createWriteStream(targetPath), (err) => err ? reject(err) : resolve());
+         });
+
+         extracted.push(name);
+      }
+   });
+};
+
+/**
+ * Returns the archive entry an archive error or warning refers to. Archiver errors hold the entry name in `data` while
+ * file system errors hold the source path which is mapped to the entry by the sources added by `copy`.
+ *
+ * @param {object}         instance - The archive instance.
+ *
+ * @param {Error}          cause - The error or warning.
+ *
+ * @param {string|null}    sourcePath - The resolved source path of a file system error.
+ *
+ * @returns {string|null} - The entry name if known.
+ * @ignore
+ */
+const s_GET_ARCHIVE_ENTRY = (instance, cause, sourcePath) =>
+{
+   if (typeof cause.data === 'object' && cause.data !== null && typeof cause.data.name === 'string')
+   {
+      return cause.data.name;
+   }
+
+   if (sourcePath === null) { return null; }
+
+   for (const [srcPath, destPath] of instance.entrySources)
+   {
+      if (sourcePath === srcPath) { return destPath; }
+
+      // A file within a copied directory.
+      if (!s_IS_OUTSIDE_PATH(srcPath, sourcePath))
+      {
+         return path.posix.join(destPath, s_TO_POSIX(path.relative(srcPath, sourcePath)));
+      }
+   }
+
+   return null;
+};
+
+/**
+ * Returns the log record fields of an archive instance.
+ *
+ * @param {object}   instance - An archive instance.
+ *
+ * @param {string}   operation - The operation.
+ *
+ * @param {string}   [level='debug'] - The log level.
+ *
+ * @returns {object} - The log record fields.
+ * @ignore
+ */
+const s_GET_ARCHIVE_LOG_RECORD = (instance, operation, level = 'debug') =>
+{
+   return { level, operation, filePath: instance.filePath, resolvedPath: s_GET_ARCHIVE_RESOLVED_PATH(instance),
+    archive: instance.parent !== null ? instance.parent.archivePath : null };
+};
+
+/**
+ * Returns the archive aware resolved path of an archive instance; IE `/out/parent.tar.gz!/child.tar.gz`. Child archives
+ * are written to a temporary file until added to the parent, so the path is built from the top level archive.
+ *
+ * @param {object}   instance - An archive instance.
+ *
+ * @returns {string} - The archive aware resolved path.
+ * @ignore
+ */
+const s_GET_ARCHIVE_RESOLVED_PATH = (instance) =>
+{
+   return instance.parent !== null ? `${s_GET_ARCHIVE_RESOLVED_PATH(instance.parent)}!/${instance.filePath}` :
+    instance.resolvedPath;
+};
+
+/**
+ * Returns the compression format of an archive file path by matching the longest registered compression format name
+ * or extension.
+ *
+ * @param {Map<string, CompressFormatHandler>}  compressFormats - The registered compression format handlers.
+ *
+ * @param {string}   filePath - An archive file path.
+ *
+ * @returns {{compressFormat: string, extension: string, handler: CompressFormatHandler}|null} - The compression format
+ *          or null if the extension is not recognized.
+ * @ignore
+ */
+const s_GET_ARCHIVE_FORMAT = (compressFormats, filePath) =>
+{
+   let result = null;
+
+   for (const [compressFormat, handler] of compressFormats)
+   {
+      const extensions = [compressFormat].concat(Array.isArray(handler.extensions) ? handler.extensions : []);
+
+      for (const extension of extensions)
+      {
+         if (filePath.endsWith(`.${extension}`) && (result === null || extension.length > result.extension.length))
+         {
+            result = { compressFormat, extension, handler };
+         }
+      }
+   }
+
+   return result;
+};
+
+/**
+ * Returns the resolved relative path to empty or null logging the reason when it may not be emptied.
+ *
+ * @param {FileUtilOptions}   options - FileUtil options.
+ *
+ * @param {string}            logPrepend - A string to prepend any logged output.
+ *
+ * @returns {string|null} - The resolved relative path to empty.
+ * @ignore
+ */
+const s_GET_EMPTY_RELATIVE_PATH = (options, logPrepend) =>
+{
+   if (options.relativePath)
+   {
+      const resolvedPath = path.resolve(options.relativePath);
+
+      // Do not empty path if resolvedPath is at or below the current working directory.
+      if (process.cwd().startsWith(resolvedPath))
+      {
+         s_LOG(options,
+          `${logPrepend}FileUtil.emptyRelativePath: aborting as current working directory will be deleted.`,
+           { level: 'warn', operation: 'empty', path: options.relativePath, resolvedPath });
+      }
+      else
+      {
+         s_LOG(options, `${logPrepend}emptying: ${options.relativePath}`, { operation: 'empty',
+          path: options.relativePath, resolvedPath });
+
+         return resolvedPath;
+      }
+   }
+   else
+   {
+      s_LOG(options, `${logPrepend}FileUtil.emptyRelativePath: no relative path to empty.`,
+       { level: 'warn', operation: 'empty' });
+   }
+
+   return null;
+};
+
+/**
+ * Returns the size in bytes of file data if it is a string or Buffer.
+ *
+ * @param {*}        fileData - The file data.
+ *
+ * @param {string}   encoding - The encoding of string data.
+ *
+ * @returns {number|null} - The size in bytes or null for other data such as streams.
+ * @ignore
+ */
+const s_GET_DATA_SIZE = (fileData, encoding) =>
+{
+   if (typeof fileData === 'string') { return Buffer.byteLength(fileData, encoding); }
+
+   return Buffer.isBuffer(fileData) ? fileData.length : null;
+};
+
+/**
+ * Builds the ordered exclusion rules from `!` prefixed globs, the `ignore` option and any ignore files. Each rule
+ * holds absolute `/` separated patterns matching a path and anything below it.
+ *
+ * @param {string[]} excludes - Exclusions from `!` prefixed globs.
+ *
+ * @param {object}   options - Optional parameters `{ ignore, ignoreFiles }`.
+ *
+ * @param {string}   cwd - The resolved directory exclusions and ignore files are resolved against.
+ *
+ * @returns {Array<{source: string, negate: boolean, patterns: string[]}>} - The exclusion rules.
+ * @ignore
+ */
+const s_GET_EXCLUSION_RULES = (excludes, options, cwd) =>
+{
+   const ignore = s_TO_STRING_ARRAY('options.ignore', options.ignore);
+   const ignoreFiles = s_TO_STRING_ARRAY('options.ignoreFiles', options.ignoreFiles);
+
+   const rules = excludes.concat(ignore).map((entry) =>
+   {
+      const pattern = s_TO_POSIX(path.resolve(cwd, entry));
+
+      return { source: entry, negate: false, patterns: [pattern, `${pattern}/**`] };
+   });
+
+   for (const ignoreFile of ignoreFiles)
+   {
+      const resolvedPath = path.resolve(cwd, ignoreFile);
+
+      if (fs.existsSync(resolvedPath)) { rules.push(...s_PARSE_IGNORE_FILE(resolvedPath)); }
+   }
+
+   return rules;
+};
+
+/**
+ * Returns `glob` options pruning excluded directories from traversal when no exclusion rule is negated.
+ *
+ * @param {Array<{negate: boolean, patterns: string[]}>}   rules - The exclusion rules.
+ *
+ * @param {{dot: boolean, followSymlinks: boolean}}   hydrateOptions - Validated hydrate options.
+ *
+ * @returns {object} - `glob` options.
+ * @ignore
+ */
+const s_GET_GLOB_OPTIONS = (rules, hydrateOptions) =>
+{
+   const globOptions = { dot: hydrateOptions.dot, follow: hydrateOptions.followSymlinks };
+
+   if (rules.length > 0 && !rules.some((rule) => rule.negate))
+   {
+      globOptions.ignore = [].concat(...rules.map((rule) => rule.patterns));
+   }
+
+   return globOptions;
+};
+
+/**
+ * Validates the optional parameters of `hydrateGlob` applying defaults.
+ *
+ * @param {FileUtilOptions}   fileUtilOptions - FileUtil options.
+ *
+ * @param {object}            options - Optional parameters `{ cwd, dot, absolute, followSymlinks }`.
+ *
+ * @returns {{cwd: string, dot: boolean, absolute: boolean, followSymlinks: boolean}} - Validated hydrate options
+ *          with a resolved `cwd`.
+ * @ignore
+ */
+const s_GET_HYDRATE_OPTIONS = (fileUtilOptions, options) =>
+{
+   if (typeof options !== 'object' || options === null) { throw new TypeError(`'options' is not an 'object'.`); }
+
+   const { cwd = s_RESOLVE_RELATIVE(fileUtilOptions, '.'), dot = false, absolute = true, followSymlinks = false } =
+    options;
+
+   if (typeof cwd !== 'string') { throw new TypeError(`'options.cwd' is not a 'string'.`); }
+   if (typeof dot !== 'boolean') { throw new TypeError(`'options.dot' is not a 'boolean'.`); }
+   if (typeof absolute !== 'boolean') { throw new TypeError(`'options.absolute' is not a 'boolean'.`); }
+   if (typeof followSymlinks !== 'boolean') { throw new TypeError(`'options.followSymlinks' is not a 'boolean'.`); }
+
+   return { cwd: path.resolve(cwd), dot, absolute, followSymlinks };
+};
+
+/**
+ * Returns a unique temporary file path next to a destination for atomic writes.
+ *
+ * @param {string}   resolvedPath - The resolved file path.
+ *
+ * @returns {string} - The temporary file path.
+ * @ignore
+ */
+const s_GET_ATOMIC_TEMP_PATH = (resolvedPath) =>
+ `${resolvedPath}.${process.pid}-${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+/**
+ * Formats a line read by `readLines` or `readLinesStream`.
+ *
+ * @param {string}   line - The line.
+ *
+ * @param {number}   index - The 0-based line index.
+ *
+ * @param {number}   width - The width line numbers are padded to when `padding` is enabled.
+ *
+ * @param {object}   options - The options returned by `s_GET_READ_LINES_OPTIONS`.
+ *
+ * @returns {string} - The formatted line.
+ * @ignore
+ */
+const s_FORMAT_LINE = (line, index, width, options) =>
+{
+   if (options.raw) { return line; }
+
+   const lineNumber = options.padding ? `${index + 1}`.padStart(width) : `${index + 1}`;
+
+   let output = options.formatter ? options.formatter(lineNumber, line) : `${lineNumber}| ${line}`;
+
+   if (typeof output !== 'string') { throw new TypeError(`'formatter' did not return a 'string'.`); }
+
+   if (options.highlight !== null)
+   {
+      output = `${index === options.highlight ? options.marker : ' '.repeat(options.marker.length)} ${output}`;
+   }
+
+   return output;
+};
+
+/**
+ * Validates the options of `readLines` converting the selected lines to a 0-based range excluding `lineEnd`.
+ *
+ * @param {object}   options - The options passed to `readLines`.
+ *
+ * @returns {object} - The normalized options with a 0-based `lineStart`, `lineEnd` and `highlight`.
+ * @ignore
+ */
+const s_GET_READ_LINES_OPTIONS = ({ lineStart, lineEnd, around, base, raw, formatter, padding, highlight, marker }) =>
+{
+   if (base !== 0 && base !== 1) { throw new TypeError(`'base' is not '0' or '1'.`); }
+   if (typeof raw !== 'boolean') { throw new TypeError(`'raw' is not a 'boolean'.`); }
+   if (typeof formatter !== 'undefined' && typeof formatter !== 'function')
+   {
+      throw new TypeError(`'formatter' is not a 'function'.`);
+   }
+   if (typeof padding !== 'boolean') { throw new TypeError(`'padding' is not a 'boolean'.`); }
+   if (typeof highlight !== 'undefined' && typeof highlight !== 'number')
+   {
+      throw new TypeError(`'highlight' is not a 'number'.`);
+   }
+   if (typeof marker !== 'string') { throw new TypeError(`'marker' is not a 'string'.`); }
+
+   if (typeof around !== 'undefined')
+   {
+      if (typeof around !== 'object' || around === null || typeof around.line !== 'number')
+      {
+         throw new TypeError(`'around.line' is not a 'number'.`);
+      }
+
+      const context = typeof around.context !== 'undefined' ? around.context : 2;
+
+      if (typeof context !== 'number' || context < 0)
+      {
+         throw new TypeError(`'around.context' is not a positive 'number'.`);
+      }
+
+      lineStart = around.line - context;
+      lineEnd = around.line + context + 1 - base;
+   }
+   else
+   {
+      if (typeof lineStart !== 'number') { throw new TypeError(`'lineStart' is not a 'number'.`); }
+      if (typeof lineEnd !== 'number') { throw new TypeError(`'lineEnd' is not a 'number'.`); }
+   }
+
+   // A 1-based range includes `lineEnd` which is the excluded end of the equivalent 0-based range.
+   return {
+      lineStart: lineStart - base,
+      lineEnd,
+      raw,
+      formatter,
+      padding,
+      highlight: typeof highlight === 'number' ? highlight - base : null,
+      marker
+   };
+};
+
+/**
+ * Returns the destination path of a file matched by globs preserving its path relative to a base directory after
+ * applying any rename function or pattern map.
+ *
+ * @param {string}   resolvedBase - The resolved base directory.
+ *
+ * @param {string}   srcPath - The absolute source path.
+ *
+ * @param {string}   destPath - The destination directory path.
+ *
+ * @param {function|object|undefined}   rename - A function or object renaming the path relative to the base.
+ *
+ * @returns {string} - The `/` separated destination path.
+ * @ignore
+ */
+const s_GET_GLOB_DEST_PATH = (resolvedBase, srcPath, destPath, rename) =>
+{
+   if (s_IS_OUTSIDE_PATH(resolvedBase, srcPath))
+   {
+      throw new Error(`'${srcPath}' is outside of 'base': ${resolvedBase}`);
+   }
+
+   let relativePath = s_TO_POSIX(path.relative(resolvedBase, srcPath));
+
+   if (typeof rename === 'function')
+   {
+      relativePath = rename(relativePath, srcPath);
+
+      if (typeof relativePath !== 'string') { throw new TypeError(`'rename' did not return a 'string'.`); }
+   }
+   else if (typeof rename === 'object')
+   {
+      for (const pattern of Object.keys(rename))
+      {
+         relativePath = relativePath.replace(new RegExp(pattern), rename[pattern]);
+      }
+   }
+
+   return path.posix.join(s_TO_POSIX(destPath), relativePath);
+};
+
+/**
+ * Returns the total size in bytes of a file or all files in a directory.
+ *
+ * @param {string}   srcPath - A file or directory path.
+ *
+ * @returns {number} - The size in bytes.
+ * @ignore
+ */
+const s_GET_PATH_SIZE = (srcPath) =>
+{
+   const stats = fs.statSync(srcPath);
+
+   if (!stats.isDirectory()) { return stats.size; }
+
+   return fs.readdirSync(srcPath).reduce((size, entry) => size + s_GET_PATH_SIZE(path.join(srcPath, entry)), 0);
+};
+
+/**
+ * Returns the modification time of reproducible archive entries from the `sourceDateEpoch` option, the
+ * `SOURCE_DATE_EPOCH` environment variable or the Unix epoch.
+ *
+ * @param {FileUtilOptions}   options - FileUtil options.
+ *
+ * @returns {Date} - The modification time.
+ * @ignore
+ */
+const s_GET_SOURCE_DATE = (options) =>
+{
+   let seconds = options.sourceDateEpoch;
+
+   if (seconds === null && (/^\d+$/).test(process.env.SOURCE_DATE_EPOCH || ''))
+   {
+      seconds = parseInt(process.env.SOURCE_DATE_EPOCH, 10);
+   }
+
+   return new Date((seconds || 0) * 1000);
+};
+
+/**
+ * Hard links the files of a directory missing from another directory falling back to copying. Directories are
+ * created including empty ones; files or directories already present in the destination are kept.
+ *
+ * @param {string}   srcPath - Source directory.
+ *
+ * @param {string}   destPath - Destination directory.
+ *
+ * @param {Set<string>} [excluded] - Source files and directories which are not merged.
+ *
+ * @ignore
+ */
+const s_MERGE_DIRECTORY = (srcPath, destPath, excluded = new Set()) =>
+{
+   for (const entry of fs.readdirSync(srcPath))
+   {
+      const srcEntryPath = path.join(srcPath, entry);
+      const destEntryPath = path.join(destPath, entry);
+
+      if (excluded.has(srcEntryPath)) { continue; }
+
+      const stats = fs.lstatSync(srcEntryPath);
+
+      if (stats.isDirectory())
+      {
+         if (!fs.existsSync(destEntryPath))
+         {
+            fs.mkdirSync(destEntryPath);
+         }
+         else if (!fs.statSync(destEntryPath).isDirectory())
+         {
+            continue;
+         }
+
+         s_MERGE_DIRECTORY(srcEntryPath, destEntryPath, excluded);
+      }
+      else if (!fs.existsSync(destEntryPath))
+      {
+         try
+         {
+            fs.linkSync(srcEntryPath, destEntryPath);
+         }
+         catch (err)
+         {
+            fs.copySync(srcEntryPath, destEntryPath, { preserveTimestamps: true });
+         }
+      }
+   }
+};
+
+/**
+ * Promise based `glob`.
+ *
+ * @type {function(pattern: string): Promise<string[]>}
+ * @ignore
+ */
+const s_GLOB_ASYNC = util.promisify(glob);
+
+/**
+ * Recursively lists the entries of an archive and optionally any nested child archives.
+ *
+ * @param {string|Buffer}  source - An archive file path or buffer holding archive data.
+ *
+ * @param {CompressFormatHandler}   handler - The archive compression format handler.
+ *
+ * @param {string}         prefix - Name prefix of nested child archive entries.
+ *
+ * @param {object}         options - List options `{ compressFormats, nested }`.
+ *
+ * @param {object[]}       entries - Collects archive entries.
+ *
+ * @returns {Promise} - A promise resolved once all entries are listed.
+ * @ignore
+ */
+const s_LIST_ARCHIVE = (source, handler, prefix, options, entries) =>
+{
+   return s_WALK_ARCHIVE(source, handler, async (entry, entryStream) =>
+   {
+      entry.name = `${prefix}${entry.name}`;
+
+      entries.push(entry);
+
+      const childFormat = options.nested && entry.type === 'file' ?
+       s_GET_ARCHIVE_FORMAT(options.compressFormats, entry.name) : null;
+
+      if (childFormat !== null)
+      {
+         const data = await s_STREAM_TO_BUFFER(entryStream);
+
+         // Entries with an archive extension that are not readable as an archive are listed as plain files.
+         if (await s_IS_ARCHIVE_DATA(data, childFormat.handler))
+         {
+            await s_LIST_ARCHIVE(data, childFormat.handler, `${entry.name}!/`, options, entries);
+         }
+      }
+   });
+};
+
+/**
+ * Returns the SHA-256 hex digest of data.
+ *
+ * @param {string|Buffer}  data - Data to hash.
+ *
+ * @returns {string} - The hex digest.
+ * @ignore
+ */
+const s_HASH_DATA = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Returns the hash of file data if it is a string or Buffer.
+ *
+ * @param {*}        fileData - The file data.
+ *
+ * @param {string}   encoding - The encoding of string data.
+ *
+ * @returns {string|null} - The hex digest or null for other data such as streams.
+ * @ignore
+ */
+const s_HASH_FILE_DATA = (fileData, encoding) =>
+{
+   if (typeof fileData === 'string') { return s_HASH_DATA(Buffer.from(fileData, encoding)); }
+
+   return Buffer.isBuffer(fileData) ? s_HASH_DATA(fileData) : null;
+};
+
+/**
+ * Recursively hashes the file entries of an archive and any nested child archives.
+ *
+ * @param {string|Buffer}  source - An archive file path or buffer holding archive data.
+ *
+ * @param {CompressFormatHandler}   handler - The archive compression format handler.
+ *
+ * @param {string}         prefix - Path prefix of archive entries.
+ *
+ * @param {object}         options - Hash options `{ algorithm, compressFormats }`.
+ *
+ * @param {object[]}       entries - Collects `{ path, size, hash }` manifest entries.
+ *
+ * @returns {Promise} - A promise resolved once all entries are hashed.
+ * @ignore
+ */
+const s_HASH_ARCHIVE = (source, handler, prefix, options, entries) =>
+{
+   return s_WALK_ARCHIVE(source, handler, async (entry, entryStream) =>
+   {
+      if (entry.type !== 'file') { return; }
+
+      const entryPath = `${prefix}${entry.name}`;
+      const childFormat = s_GET_ARCHIVE_FORMAT(options.compressFormats, entry.name);
+
+      if (childFormat !== null)
+      {
+         const data = await s_STREAM_TO_BUFFER(entryStream);
+
+         entries.push({ path: entryPath, size: data.length,
+          hash: crypto.createHash(options.algorithm).update(data).digest('hex') });
+
+         // An entry with an archive extension that fails to parse is a plain file already hashed above.
+         const childEntries = [];
+
+         try
+         {
+            await s_HASH_ARCHIVE(data, childFormat.handler, `${entryPath}!/`, options, childEntries);
+         }
+         catch (err)
+         {
+            return;
+         }
+
+         entries.push(...childEntries);
+      }
+      else
+      {
+         entries.push(Object.assign({ path: entryPath }, await s_HASH_STREAM(entryStream, options.algorithm)));
+      }
+   });
+};
+
+/**
+ * Returns the size and hash of stream data.
+ *
+ * @param {stream.Readable}   readStream - A readable stream.
+ *
+ * @param {string}            algorithm - A hash algorithm supported by `crypto.createHash`.
+ *
+ * @returns {Promise<{size: number, hash: string}>} - A promise resolved with the size and hex digest.
+ * @ignore
+ */
+const s_HASH_STREAM = (readStream, algorithm) =>
+{
+   return new Promise((resolve, reject) =>
+   {
+      const hash = crypto.createHash(algorithm);
+      let size = 0;
+
+      readStream.on('data', (chunk) =>
+      {
+         size += chunk.length;
+         hash.update(chunk);
+      });
+
+      readStream.on('end', () => resolve({ size, hash: hash.digest('hex') }));
+      readStream.on('error', reject);
+   });
+};
+
+/**
+ * Returns whether data parses as an archive of the given compression format. Nested entries are detected by extension
+ * so this guards plain files such as a text file named `notes.zip`.
+ *
+ * @param {Buffer}                  data - Archive entry data.
+ *
+ * @param {CompressFormatHandler}   handler - The archive compression format handler.
+ *
+ * @returns {Promise<boolean>} - A promise resolved with true when the data is a readable archive.
+ * @ignore
+ */
+const s_IS_ARCHIVE_DATA = (data, handler) => s_WALK_ARCHIVE(data, handler, () => {}).then(() => true, () => false);
+
+/**
+ * Returns whether a destination file differs from a source file by size and either modification time or content.
+ *
+ * @param {string}   srcPath - The source file path.
+ *
+ * @param {string}   destPath - The destination file path.
+ *
+ * @param {string}   compare - Either `mtime` or `hash`.
+ *
+ * @returns {boolean} - True when the destination file differs.
+ * @ignore
+ */
+const s_IS_FILE_CHANGED = (srcPath, destPath, compare) =>
+{
+   const srcStats = fs.statSync(srcPath);
+   const destStats = fs.statSync(destPath);
+
+   if (srcStats.size !== destStats.size) { return true; }
+
+   // Copied timestamps are rounded to milliseconds, so modification times within a millisecond are equal.
+   return compare === 'hash' ? s_HASH_DATA(fs.readFileSync(srcPath)) !== s_HASH_DATA(fs.readFileSync(destPath)) :
+    Math.abs(srcStats.mtimeMs - destStats.mtimeMs) >= 1;
+};
+
+/**
+ * Returns whether a file is excluded by the exclusion rules; the last matching rule determines exclusion.
+ *
+ * @param {string}   file - An absolute file path.
+ *
+ * @param {Array<{negate: boolean, patterns: string[]}>}   rules - The exclusion rules.
+ *
+ * @returns {boolean} - True when the file is excluded.
+ * @ignore
+ */
+const s_IS_EXCLUDED = (file, rules) =>
+{
+   const posixFile = s_TO_POSIX(file);
+
+   let excluded = false;
+
+   for (const rule of rules)
+   {
+      if (rule.patterns.some((pattern) => minimatch(posixFile, pattern, { dot: true }))) { excluded = !rule.negate; }
+   }
+
+   return excluded;
+};
+
+/**
+ * Returns whether a resolved target path is outside of a resolved base path.
+ *
+ * @param {string}   basePath - A resolved base path.
+ *
+ * @param {string}   targetPath - A resolved target path.
+ *
+ * @returns {boolean} - True when the target path is outside of the base path.
+ * @ignore
+ */
+const s_IS_OUTSIDE_PATH = (basePath, targetPath) =>
+{
+   const relativePath = path.relative(basePath, targetPath);
+
+   return relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath);
+};
+
+/**
+ * Validates globs and converts any entry which is not a glob to an all inclusive glob. Entries prefixed with `!` are
+ * separated as exclusions.
+ *
+ * @param {string|Array<string>} globs - A string or array of strings defining file globs.
+ *
+ * @returns {{includes: string[], excludes: string[]}} - The normalized globs and exclusions without the `!` prefix.
+ * @ignore
+ */
+const s_NORMALIZE_GLOBS = (globs) =>
+{
+   if (!Array.isArray(globs) && typeof globs !== 'string')
+   {
+      throw new TypeError(`'globs' is not a 'string' or an 'array'.`);
+   }
+
+   // If not an array then convert globEntry to an array.
+   const globArray = Array.isArray(globs) ? globs : [globs];
+
+   // Verify that all entries are strings.
+   for (let cntr = 0; cntr < globArray.length; cntr++)
+   {
+      if (typeof globArray[cntr] !== 'string')
+      {
+         throw new TypeError(`'globs[${cntr}]: '${globArray[cntr]}' is not a 'string'.`);
+      }
+   }
+
+   const includes = [];
+   const excludes = [];
+
+   // Process glob array and if any entry is not a glob then convert it to an all inclusive glob.
+   for (let entry of globArray)
+   {
+      // A leading `!(` is an extglob pattern rather than an exclusion.
+      if (entry.startsWith('!') && !entry.startsWith('!('))
+      {
+         excludes.push(entry.slice(1));
+         continue;
+      }
+
+      // Convert raw file path to glob as necessary.
+      if (!isGlob(entry))
+      {
+         // Determine if any included trailing path separator is included.
+         const results = (/([\\/])$/).exec(entry);
+         const pathSep = results !== null ? results[0] : path.sep;
+
+         // Build all inclusive glob based on bare path and covert it into an array containing it.
+         entry = entry.endsWith(pathSep) ? `${entry}**${pathSep}*` : `${entry}${pathSep}**${pathSep}*`;
+      }
+
+      includes.push(entry);
+   }
+
+   return { includes, excludes };
+};
+
+/**
+ * Converts `\\` separators to `/` regardless of platform.
+ *
+ * @param {string}   filePath - A file path.
+ *
+ * @returns {string} - The path with `/` separators.
+ * @ignore
+ */
+const s_NORMALIZE_SEPARATORS = (filePath) => filePath.replace(/\\/g, '/');
+
+/**
+ * Parses the rules of a `.gitignore` / `.npmignore` style file. Patterns without a `/` except a trailing one match at
+ * any depth below the ignore file directory; other patterns are anchored to it. A trailing `/` only matches the
+ * contents of a directory and a `!` prefix re-includes matching paths. A leading `\#` or `\!` matches a literal `#` or
+ * `!`.
+ *
+ * @param {string}   ignoreFile - The ignore file path.
+ *
+ * @returns {Array<{source: string, negate: boolean, patterns: string[]}>} - The exclusion rules.
+ * @ignore
+ */
+const s_PARSE_IGNORE_FILE = (ignoreFile) =>
+{
+   const basePath = s_TO_POSIX(path.dirname(path.resolve(ignoreFile)));
+
+   const rules = [];
+
+   for (const line of fs.readFileSync(ignoreFile).toString().split(/\r?\n/))
+   {
+      const source = line.trim();
+
+      if (source === '' || source.startsWith('#')) { continue; }
+
+      const negate = source.startsWith('!');
+
+      // A leading backslash escapes a literal `#` or `!`.
+      let entry = negate ? source.slice(1) : source.replace(/^\\([#!])/, '$1');
+
+      const directoryOnly = entry.endsWith('/');
+
+      entry = entry.replace(/\/+$/, '');
+
+      const pattern = entry.includes('/') ? `${basePath}/${entry.replace(/^\//, '')}` : `${basePath}/**/${entry}`;
+
+      rules.push({ source, negate, patterns: directoryOnly ? [`${pattern}/**`] : [pattern, `${pattern}/**`] });
+   }
+
+   return rules;
+};
+
+/**
+ * Formats the lines of file data between a start and end line number prepending each line number.
+ *
+ * @param {string}   data - File data.
+ *
+ * @param {object}   options - The options returned by `s_GET_READ_LINES_OPTIONS`.
+ *
+ * @returns {String[]} - The target lines.
+ * @ignore
+ */
+const s_READ_LINES = (data, options) =>
+{
+   const lines = data.split(/\r?\n/);
+   const targetLines = [];
+
+   const lineStart = Math.max(options.lineStart, 0);
+   const lineEnd = Math.min(options.lineEnd, lines.length);
+
+   for (let cntr = lineStart; cntr < lineEnd; cntr++)
+   {
+      targetLines.push(s_FORMAT_LINE(lines[cntr], cntr, `${lineEnd}`.length, options));
+   }
+
+   return targetLines;
+};
+
+/**
+ * Returns an async iterable streaming the target lines of a file. Each iterator reads the file incrementally and
+ * destroys the read stream once `lineEnd` is passed or the iterator returns early.
+ *
+ * @param {string}      filePath - The file path to load.
+ *
+ * @param {StringDecoder} decoder - Decodes the file data.
+ *
+ * @param {object}      options - The options returned by `s_GET_READ_LINES_OPTIONS`.
+ *
+ * @returns {AsyncIterable<string>} - An async iterable of the target lines.
+ * @ignore
+ */
+const s_READ_LINES_STREAM = (filePath, decoder, options) =>
+{
+   const width = Number.isFinite(options.lineEnd) ? `${options.lineEnd}`.length : 0;
+
+   return {
+      [Symbol.asyncIterator]()
+      {
+         const chunks = fs.createReadStream(filePath)[Symbol.asyncIterator]();
+         const pending = [];
+
+         // Holds the pieces of the current line only while it is a target line.
+         const pieces = [];
+
+         let index = 0;
+         let done = false;
+
+         const isTarget = () => index >= options.lineStart && index < options.lineEnd;
+
+         const endLine = () =>
+         {
+            if (isTarget())
+            {
+               const line = pieces.join('');
+
+               pending.push(s_FORMAT_LINE(line.endsWith('\r') ? line.slice(0, -1) : line, index, width, options));
+            }
+
+            pieces.length = 0;
+            index++;
+         };
+
+         // Only the newly decoded text is searched for line breaks so that long lines are not scanned repeatedly.
+         const pushText = (text) =>
+         {
+            let start = 0;
+            let end;
+
+            while ((end = text.indexOf('\n', start)) >= 0)
+            {
+               if (isTarget()) { pieces.push(text.slice(start, end)); }
+
+               endLine();
+
+               start = end + 1;
+            }
+
+            if (start < text.length && isTarget()) { pieces.push(text.slice(start)); }
+         };
+
+         const close = async () =>
+         {
+            done = true;
+
+            await chunks.return();
+         };
+
+         return {
+            'next': async () =>
+            {
+               while (pending.length === 0 && !done)
+               {
+                  if (index >= options.lineEnd)
+                  {
+                     await close();
+
+                     break;
+                  }
+
+                  const chunk = await chunks.next();
+
+                  if (chunk.done)
+                  {
+                     done = true;
+
+                     pushText(decoder.end());
+                     endLine();
+                  }
+                  else
+                  {
+                     // The last line may continue in the next chunk; `\r\n` split between chunks is also rejoined.
+                     pushText(decoder.write(chunk.value));
+                  }
+               }
+
+               return pending.length > 0 ? { value: pending.shift(), done: false } : { value: void 0, done: true };
+            },
+
+            'return': async () =>
+            {
+               pending.length = 0;
+
+               if (!done) { await close(); }
+
+               return { value: void 0, done: true };
+            }
+         };
+      }
+   };
+};
+
+/**
+ * Resolves a file path against the `relativePath` option when set.
+ *
+ * @param {FileUtilOptions}   options - FileUtil options.
+ *
+ * @param {string}            filePath - A file path.
+ *
+ * @returns {string} - The resolved file path.
+ * @ignore
+ */
+const s_RESOLVE_RELATIVE = (options, filePath) =>
+{
+   return options.relativePath ? path.resolve(options.relativePath, filePath) : path.resolve(filePath);
+};
+
+/**
+ * Sorts and removes duplicate hydrated files converting them relative to `cwd` when `absolute` is false.
+ *
+ * @param {string[]} files - Hydrated files.
+ *
+ * @param {{cwd: string, absolute: boolean}}   hydrateOptions - Validated hydrate options.
+ *
+ * @returns {string[]} - The sorted files.
+ * @ignore
+ */
+const s_SORT_FILES = (files, hydrateOptions) =>
+{
+   if (!hydrateOptions.absolute) { files = files.map((file) => s_TO_POSIX(path.relative(hydrateOptions.cwd, file))); }
+
+   // Compare by code unit as `localeCompare` differs across platforms.
+   return Array.from(new Set(files)).sort((a, b) => a < b ? -1 : a > b ? 1 : 0);
+};
+
+/**
+ * Returns the stats of a path or null when it does not exist.
+ *
+ * @param {string}   srcPath - A file path.
+ *
+ * @returns {fs.Stats|null} - The stats.
+ * @ignore
+ */
+const s_STAT_OPTIONAL = (srcPath) =>
+{
+   try
+   {
+      return fs.statSync(srcPath);
+   }
+   catch (err)
+   {
+      return null;
+   }
+};
+
+/**
+ * Serializes a value as JSON optionally sorting the keys of all plain objects.
+ *
+ * @param {*}                 value - The value to serialize.
+ *
+ * @param {boolean|function}  sortKeys - When true keys are sorted by code unit or when a function by it.
+ *
+ * @param {number|string}     indent - The indentation passed to `JSON.stringify`.
+ *
+ * @param {string}            name - The parameter name reported when the value is not serializable.
+ *
+ * @returns {string} - The JSON.
+ * @ignore
+ */
+const s_STRINGIFY_JSON = (value, sortKeys, indent, name) =>
+{
+   if (typeof sortKeys !== 'boolean' && typeof sortKeys !== 'function')
+   {
+      throw new TypeError(`'sortKeys' is not a 'boolean' or 'function'.`);
+   }
+
+   const compare = typeof sortKeys === 'function' ? sortKeys : void 0;
+
+   // `undefined`, functions and symbols have no JSON representation.
+   const json = sortKeys === false ? JSON.stringify(value, null, indent) : JSON.stringify(value, (key, entry) =>
+   {
+      if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) { return entry; }
+
+      const sorted = {};
+
+      for (const entryKey of Object.keys(entry).sort(compare)) { sorted[entryKey] = entry[entryKey]; }
+
+      return sorted;
+   }, indent);
+
+   if (typeof json !== 'string') { throw new TypeError(`'${name}' is not serializable as JSON.`); }
+
+   return json;
+};
+
+/**
+ * Converts a path to use `/` separators.
+ *
+ * @param {string}   filePath - A file path.
+ *
+ * @returns {string} - The path with `/` separators.
+ * @ignore
+ */
+const s_TO_POSIX = (filePath) => filePath.split(path.sep).join('/');
+
+/**
+ * Validates and converts an optional string or array of strings to an array.
+ *
+ * @param {string}   name - The parameter name used in any error message.
+ *
+ * @param {string|Array<string>|undefined}   value - The value to convert.
+ *
+ * @returns {string[]} - The strings.
+ * @ignore
+ */
+const s_TO_STRING_ARRAY = (name, value) =>
+{
+   if (typeof value === 'undefined') { return []; }
+
+   const array = Array.isArray(value) ? value : [value];
+
+   for (let cntr = 0; cntr < array.length; cntr++)
+   {
+      if (typeof array[cntr] !== 'string') { throw new TypeError(`'${name}[${cntr}]' is not a 'string'.`); }
+   }
+
+   return array;
+};
+
+/**
+ * Reads a stream fully into a buffer.
+ *
+ * @param {stream.Readable}   readStream - A readable stream.
+ *
+ * @returns {Promise<Buffer>} - A promise resolved with the stream data.
+ * @ignore
+ */
+const s_STREAM_TO_BUFFER = (readStream) =>
+{
+   return new Promise((resolve, reject) =>
+   {
+      const chunks = [];
+
+      readStream.on('data', (chunk) => chunks.push(chunk));
+      readStream.on('end', () => resolve(Buffer.concat(chunks)));
+      readStream.on('error', reject);
+   });
+};
+
+/**
+ * Walks the entries of a `tar` or `zip` based archive invoking `onEntry` with a normalized entry `{ name, size, mode,
+ * mtime, type }` and a readable stream of the entry data for `file` entries; the stream is null for other entry types.
+ * The next entry is read once the promise returned by `onEntry` resolves.
+ *
+ * @param {string|Buffer}  source - An archive file path or buffer holding archive data.
+ *
+ * @param {CompressFormatHandler}   handler - The archive compression format handler.
+ *
+ * @param {function}       onEntry - Invoked for each archive entry.
+ *
+ * @returns {Promise} - A promise resolved once all entries are read.
+ * @ignore
+ */
+const s_WALK_ARCHIVE = (source, handler, onEntry) =>
+{
+   return new Promise((resolve, reject) =>
+   {
+      switch (handler.format)
+      {
+         case 'tar':
+         {
+            const extract = tar.extract();
+
+            // Uncompressed tar data is passed through directly.
+            const decompress = typeof handler.decompress === 'function' ? handler.decompress() :
+             new stream.PassThrough();
+
+            extract.on('entry', (header, entryStream, next) =>
+            {
+               const entry =
+               {
+                  name: header.name.replace(/\/$/, ''),
+                  size: header.size,
+                  mode: header.mode,
+                  mtime: header.mtime,
+                  type: header.type
+               };
+
+               if (entry.type !== 'file') { entryStream.resume(); }
+
+               Promise.resolve().then(() => onEntry(entry, entry.type === 'file' ? entryStream : null)).then(() =>
+               {
+                  // Drain any data left unconsumed by `onEntry`.
+                  entryStream.resume();
+                  next();
+               }, (err) =>
+               {
+                  extract.destroy();
+                  reject(err);
+               });
+            });
+
+            extract.on('finish', resolve);
+            extract.on('error', reject);
+            decompress.on('error', reject);
+
+            decompress.pipe(extract);
+
+            if (Buffer.isBuffer(source))
+            {
+               decompress.end(source);
+            }
+            else
+            {
+               fs.createReadStream(source).on('error', reject).pipe(decompress);
+            }
+            break;
+         }
+
+         case 'zip':
+         {
+            const onOpen = (err, zipfile) =>
+            {
+               if (err) { reject(err); return; }
+
+               zipfile.on('entry', (zipEntry) =>
+               {
+                  const isDirectory = zipEntry.fileName.endsWith('/');
+
+                  const entry =
+                  {
+                     name: zipEntry.fileName.replace(/\/$/, ''),
+                     size: zipEntry.uncompressedSize,
+                     mode: (zipEntry.externalFileAttributes >>> 16) & 0o7777,
+                     mtime: zipEntry.getLastModDate(),
+                     type: isDirectory ? 'directory' : 'file'
+                  };
+
+                  const onStream = (streamErr, entryStream) =>
+                  {
+                     if (streamErr) { zipfile.close(); reject(streamErr); return; }
+
+                     Promise.resolve().then(() => onEntry(entry, entryStream)).then(() =>
+                     {
+                        // Drain any data left unconsumed by `onEntry`.
+                        if (entryStream) { entryStream.resume(); }
+                        zipfile.readEntry();
+                     }, (entryErr) =>
+                     {
+                        zipfile.close();
+                        reject(entryErr);
+                     });
+                  };
+
+                  if (isDirectory)
+                  {
+                     onStream(null, null);
+                  }
+                  else
+                  {
+                     zipfile.openReadStream(zipEntry, onStream);
+                  }
+               });
+
+               zipfile.on('end', resolve);
+               zipfile.on('error', reject);
+
+               zipfile.readEntry();
+            };
+
+            if (Buffer.isBuffer(source))
+            {
+               yauzl.fromBuffer(source, { lazyEntries: true }, onOpen);
+            }
+            else
+            {
+               yauzl.open(source, { lazyEntries: true }, onOpen);
+            }
+            break;
+         }
+
+         default:
+            reject(new Error(`Unknown archive format: '${handler.format}'.`));
+      }
+   });
+};
+
+/**
+ * Sorts the directories and files of a tree node and its descendants by name.
+ *
+ * @param {PathTreeNode}   node - A tree node.
+ *
+ * @returns {PathTreeNode} - The sorted node.
+ * @ignore
+ */
+const s_SORT_TREE = (node) =>
+{
+   const compare = (a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+
+   node.directories.sort(compare).forEach(s_SORT_TREE);
+   node.files.sort(compare);
+
+   return node;
+};
+
+/**
+ * Splits a path on `\\` and `/` into its root and non-empty segments. The root is `/`, a drive letter with or
+ * without a following separator, a UNC root `//server/share/` or empty for relative paths.
+ *
+ * @param {string}   filePath - A file path.
+ *
+ * @returns {{root: string, segments: string[]}} - The root and segments.
+ * @ignore
+ */
+const s_SPLIT_PATH = (filePath) =>
+{
+   const normalized = s_NORMALIZE_SEPARATORS(filePath);
+
+   const unc = (/^\/\/([^/]+)\/([^/]+)/).exec(normalized);
+   const drive = (/^[a-zA-Z]:\/?/).exec(normalized);
+
+   let root = '';
+
+   if (unc !== null)
+   {
+      root = `//${unc[1]}/${unc[2]}/`;
+   }
+   else if (drive !== null)
+   {
+      root = drive[0];
+   }
+   else if (normalized.startsWith('/'))
+   {
+      root = '/';
+   }
+
+   const rest = unc !== null ? normalized.slice(unc[0].length) : normalized.slice(root.length);
+
+   return { root, segments: rest.split('/').filter((segment) => segment !== '') };
+};
+
+/**
+ * Recursively lists the files and directories of a directory. Symbolic links are listed as files and not followed.
+ *
+ * @param {string}   dirPath - The directory path.
+ *
+ * @param {string}   [prefix=''] - The `/` separated path of `dirPath` relative to the initial directory.
+ *
+ * @param {{files: string[], directories: string[]}} [result] - Accumulates the sorted relative paths.
+ *
+ * @returns {{files: string[], directories: string[]}} - The `/` separated paths relative to the initial directory.
+ * @ignore
+ */
+const s_WALK_DIRECTORY = (dirPath, prefix = '', result = { files: [], directories: [] }) =>
+{
+   for (const entry of fs.readdirSync(dirPath).sort())
+   {
+      const entryPath = path.join(dirPath, entry);
+      const relativePath = prefix !== '' ? `${prefix}/${entry}` : entry;
+
+      if (fs.lstatSync(entryPath).isDirectory())
+      {
+         result.directories.push(relativePath);
+
+         s_WALK_DIRECTORY(entryPath, relativePath, result);
+      }
+      else
+      {
+         result.files.push(relativePath);
+      }
+   }
+
+   return result;
+};
+
+/**
+ * Asynchronously lists the files and directories of a directory like `s_WALK_DIRECTORY`.
+ *
+ * @param {string}   dirPath - The directory path.
+ *
+ * @param {string}   [prefix=''] - The `/` separated path of `dirPath` relative to the initial directory.
+ *
+ * @param {{files: string[], directories: string[]}} [result] - Accumulates the sorted relative paths.
+ *
+ * @returns {Promise<{files: string[], directories: string[]}>} - The `/` separated paths relative to the initial
+ *          directory.
+ * @ignore
+ */
+const s_WALK_DIRECTORY_ASYNC = async (dirPath, prefix = '', result = { files: [], directories: [] }) =>
+{
+   for (const entry of (await fs.readdir(dirPath)).sort())
+   {
+      const entryPath = path.join(dirPath, entry);
+      const relativePath = prefix !== '' ? `${prefix}/${entry}` : entry;
+
+      if ((await fs.lstat(entryPath)).isDirectory())
+      {
+         result.directories.push(relativePath);
+
+         await s_WALK_DIRECTORY_ASYNC(entryPath, relativePath, result);
+      }
+      else
+      {
+         result.files.push(relativePath);
+      }
+   }
+
+   return result;
+};
+
+/**
+ * Writes a file to a temporary file in the same directory renamed into place so that the destination never holds
+ * partially written data.
+ *
+ * @param {string}   resolvedPath - The resolved file path.
+ *
+ * @param {*}        fileData - The file data.
+ *
+ * @param {string}   encoding - The encoding type.
+ * @ignore
+ */
+const s_WRITE_FILE_ATOMIC = (resolvedPath, fileData, encoding) =>
+{
+   const tempPath = s_GET_ATOMIC_TEMP_PATH(resolvedPath);
+
+   fs.ensureDirSync(path.dirname(resolvedPath));
+
+   try
+   {
+      fs.writeFileSync(tempPath, fileData, { encoding });
+      fs.renameSync(tempPath, resolvedPath);
+   }
+   catch (err)
+   {
+      fs.removeSync(tempPath);
+
+      throw err;
+   }
+};
+
+/**
+ * Asynchronously writes a file to a temporary file in the same directory renamed into place.
+ *
+ * @param {string}   resolvedPath - The resolved file path.
+ *
+ * @param {*}        fileData - The file data.
+ *
+ * @param {string}   encoding - The encoding type.
+ * @ignore
+ */
+const s_WRITE_FILE_ATOMIC_ASYNC = async (resolvedPath, fileData, encoding) =>
+{
+   const tempPath = s_GET_ATOMIC_TEMP_PATH(resolvedPath);
+
+   await fs.ensureDir(path.dirname(resolvedPath));
+
+   try
+   {
+      await fs.writeFile(tempPath, fileData, { encoding });
+      await fs.rename(tempPath, resolvedPath);
+   }
+   catch (err)
+   {
+      await fs.remove(tempPath);
+
+      throw err;
+   }
+};
+
+/**
+ * @typedef {object} ArchiveHandle
+ *
+ * @property {string}   archivePath - The archive aware path relative to the output destination.
+ *
+ * @property {string}   filePath - The archive file path including the compression format extension.
+ *
+ * @property {function(options: object): Promise}   abort - Aborts the archive discarding any partial output; active
+ *                                                           child archives added to it are aborted as well.
+ *
+ * @property {function(options: object)}   copy - Invokes `copy` adding to this archive.
+ *
+ * @property {function(options: object): ArchiveHandle}   createChild - Creates a child archive of this archive taking
+ *                                                                      the options of `archiveCreate`.
+ *
+ * @property {function(options: object): Promise}   finalize - Finalizes this archive; all child archives must be
+ *                                                            finalized first.
+ *
+ * @property {function(options: object)}   writeFile - Invokes `writeFile` adding to this archive.
+ */
+
+/**
+ * @typedef {object} ArchiveProgress
+ *
+ * @property {string}   archivePath - The archive aware path relative to the output destination.
+ *
+ * @property {number}   depth - The nesting depth of the archive; 0 for a top level archive.
+ *
+ * @property {{processed: number, total: number}} entries - The count of entries processed and added so far.
+ *
+ * @property {number}   bytesIn - The uncompressed bytes of the processed entries.
+ *
+ * @property {number}   bytesOut - The compressed bytes written to the archive file so far.
+ */
+
+/**
+ * @typedef {object} ArchiveStats
+ *
+ * @property {string}   archivePath - The archive aware path relative to the output destination.
+ *
+ * @property {number}   depth - The nesting depth of the archive; 0 for a top level archive.
+ *
+ * @property {number}   entries - The count of entries including any child archives.
+ *
+ * @property {number}   uncompressedSize - The uncompressed bytes of all entries.
+ *
+ * @property {number}   compressedSize - The size of the archive file.
+ *
+ * @property {number}   ratio - The compressed size divided by the uncompressed size; 0 for an empty archive.
+ */
+
+/**
+ * @typedef {object} CommonPathOptions
+ *
+ * @property {boolean}  [caseInsensitive=false] - When true path segments are compared case insensitively.
+ *
+ * @property {boolean}  [trailingSeparator=true] - When false the result has no trailing separator unless it is a
+ *                                                 root.
+ *
+ * @property {boolean}  [absolute=false] - When true the result is resolved to an absolute path using platform
+ *                                         separators.
+ */
+
+/**
+ * @typedef {object} CompressFormatHandler
+ *
+ * @property {string}   format - The underlying archiver format; only `tar` and `zip` archives may be read.
+ *
+ * @property {string[]} [extensions] - Additional file extensions recognized when reading archives; IE `tgz`.
+ *
+ * @property {function(options: object): object}   [archiverOptions] - Returns options passed to `archiver`.
+ *
+ * @property {function(options: object): stream.Transform}   [compress] - Returns a stream compressing archive data.
+ *
+ * @property {function(): stream.Transform}   [decompress] - Returns a stream decompressing archive data.
+ */
+
+/**
+ * @typedef {object} FileUtilOptions
+ *
+ * @property {boolean}  [atomic=false] - When true `writeFile` writes to a temporary file renamed into place so that
+ *                                       an interrupted write never leaves a partially written file.
+ *
+ * @property {string}   [compressFormat='tar.gz'] - The compression format used by `archiveCreate`; `tar`, `tar.br`,
+ *                                                  `tar.gz`, `zip` or any format added by `registerCompressFormat`.
+ *
+ * @property {number}   [compressLevel=9] - The compression level used by all compression formats.
+ *
+ * @property {object}   [compressOptions={}] - Options keyed by compression format passed to the format handler which
+ *                                             override `compressLevel`; IE `{ 'tar.gz': { level: 1 } }`.
+ *
+ * @property {number}   [concurrency=16] - The maximum count of concurrent file operations run by async methods.
+ *
+ * @property {boolean|string}   [confineToRelative=false] - When true any destination path or archive entry name
+ *                                        resolving outside of `relativePath` throws a `PathConfinementError`; when
+ *                                        `normalize` the path is instead normalized to remain inside `relativePath`.
+ *                                        May not be changed once `lockRelative` is set.
+ *
+ * @property {boolean}  [dryRun=false] - When true `writeFile`, `copy`, `emptyRelativePath`, `archiveCreate`,
+ *                                        `archiveFinalize` and `writeManifest` record a {@link FileOperation} instead
+ *                                        of modifying the file system; retrieve the log with `getOperationLog`.
+ *
+ * @property {EventProxy}  [eventbus] - An eventbus used to log output.
+ *
+ * @property {boolean}  [incremental=false] - When true `writeFile` and `copy` skip destinations already holding
+ *                                            identical bytes tracking content hashes in the incremental manifest.
+ *                                            The manifest is not saved automatically; invoke
+ *                                            `saveIncrementalManifest` after incremental writes complete.
+ *
+ * @property {string}   [incrementalManifest='.fileutil-manifest.json'] - The incremental manifest file path resolved
+ *                                                                        against `relativePath`; written by
+ *                                                                        `saveIncrementalManifest`.
+ *
+ * @property {boolean}  [lockRelative=false] - When true `relativePath` may no longer be changed.
+ *
+ * @property {string}   [logEvent='log:debug'] - The event used to log `debug` output; other levels are triggered as
+ *                                             `log:info`, `log:warn` and `log:error`.
+ *
+ * @property {function|string|null}   [logger=null] - A function invoked with each {@link LogRecord} or `console` for
+ *                                                    the built-in console logger. When null and no eventbus is set
+ *                                                    warnings and errors are logged to the console.
+ *
+ * @property {string}   [logLevel='debug'] - The minimum level logged; `debug`, `info`, `warn` or `error`.
+ *
+ * @property {string}   [relativePath] - A path that all output is resolved against.
+ *
+ * @property {boolean}  [reproducible=false] - When true `archiveFinalize` adds the entries of each archive including
+ *                                             child archives sorted by name with the modification time of
+ *                                             `sourceDateEpoch`, uid / gid of 0 and permissions of `0644` or `0755`
+ *                                             for executable files and directories, so identical input produces
+ *                                             identical archives.
+ *
+ * @property {number|null} [sourceDateEpoch=null] - The modification time in seconds since the Unix epoch of the
+ *                                                  entries of reproducible archives; when null the
+ *                                                  `SOURCE_DATE_EPOCH` environment variable or 0 is used.
+ *
+ * @property {boolean}  [trackOutput=false] - When true all files written to the file system including archives are
+ *                                            tracked for `writeManifest`.
+ *
+ * @property {object}   [transforms={}] - Transform functions or arrays of functions keyed by extension; IE `.js`, or
+ *                                        glob applied in order by `writeFile` and `copy` to the content of matching
+ *                                        destinations. Each transform is invoked with the content as a string and the
+ *                                        destination path and returns the new content. Binary content that is not
+ *                                        valid text is not transformed.
+ */
+
+/**
+ * @typedef {object} FileOperation
+ *
+ * @property {string}   type - The operation type: `append`, `archive:create`, `archive:finalize`, `copy`, `empty`,
+ *                             `remove` or `write`.
+ *
+ * @property {string}   filePath - The destination file path as given.
+ *
+ * @property {string}   resolvedPath - The resolved destination; archive entries are denoted by the archive path and
+ *                                     `!/`; IE `/out/docs.tar.gz!/index.html`.
+ *
+ * @property {number|null} size - The size in bytes when known.
+ *
+ * @property {boolean}  inArchive - True when the destination is inside an archive.
+ *
+ * @property {string|null} archive - The archive aware path of the containing archive relative to the output
+ *                                   destination.
+ */
+
+/**
+ * @typedef {object} FileWatchHandle
+ *
+ * @property {Promise}  ready - A promise resolved once the initial sync completes and the sources are watched.
+ *
+ * @property {function(): Promise}  close - Stops watching the sources.
+ */
+
+/**
+ * @typedef {object} CopyGlobResult
+ *
+ * @property {Array<{srcPath: string, destPath: string}>} copied - The copied source and destination paths.
+ *
+ * @property {number}   files - The number of files copied.
+ *
+ * @property {number}   bytes - The total size in bytes of the files copied.
+ */
+
+/**
+ * @typedef {object} SyncResult
+ *
+ * @property {string[]} added - Files copied that did not exist in the destination.
+ *
+ * @property {string[]} updated - Files copied that differed from the destination.
+ *
+ * @property {string[]} removed - Destination files removed that no longer exist in the source.
+ *
+ * @property {string[]} unchanged - Files left in place.
+ *
+ * @property {number}   files - The number of files copied.
+ *
+ * @property {number}   bytes - The total size in bytes of the files copied.
+ */
+
+/**
+ * @typedef {object} FileTransaction
+ *
+ * @property {string}   stagingPath - The resolved staging directory.
+ *
+ * @property {function} commit - Atomically replaces `relativePath` with the staged output and ends the transaction.
+ *
+ * @property {function} rollback - Discards the staged files and ends the transaction.
+ */
+
+/**
+ * @typedef {object} LogRecord
+ *
+ * @property {string}   level - The log level; `debug`, `info`, `warn` or `error`.
+ *
+ * @property {string}   message - The message including any `logPrepend`.
+ *
+ * @property {string|null} operation - The operation; IE `write`, `copy` or `archive:finalize`.
+ *
+ * @property {string|null} path - The file path as given.
+ *
+ * @property {string|null} resolvedPath - The resolved path; archive entries are denoted by the archive path and `!/`.
+ *
+ * @property {string|null} archive - The archive aware path of the containing archive relative to the output
+ *                                   destination.
+ *
+ * @property {number|null} duration - The duration of the operation in milliseconds when known.
+ */
+
+/**
+ * @typedef {object} PathTreeNode
+ *
+ * @property {string}   name - The directory name; empty for the root node.
+ *
+ * @property {string}   path - The `/` separated directory path relative to the root node.
+ *
+ * @property {number}   fileCount - The count of files in the directory and all subdirectories.
+ *
+ * @property {PathTreeNode[]} directories - The subdirectories.
+ *
+ * @property {Array<{name: string, path: string}>} files - The files in the directory with paths relative to the root
+ *                                                         node.
+ */
@@ -1,11 +1,30 @@
 import { assert } from 'chai';
+import crypto     from 'crypto';
 import fs         from 'fs-extra';
 import path       from 'path';
+import zlib       from 'zlib';
 
-import FileUtil   from '../../src/FileUtil.js';
+import FileUtil, { ArchiveError, PathConfinementError } from '../../src/FileUtil.js';
 
 const fileUtil = new FileUtil({ relativePath: './test/fixture' });
 
+/**
+ * Collects the values of an async iterable.
+ *
+ * @param {AsyncIterable} iterable - An async iterable.
+ *
+ * @returns {Promise<Array>} - The iterated values.
+ */
+const collect = async (iterable) =>
+{
+   const iterator = iterable[Symbol.asyncIterator]();
+   const values = [];
+
+   for (let result = await iterator.next(); !result.done; result = await iterator.next()) { values.push(result.value); }
+
+   return values;
+};
+
 // Empty test fixture directory.
 fs.emptydirSync('./test/fixture');
 
@@ -154,14 +173,14 @@ describe('FileUtil:', () =>
    it('hydrateGlobs', () =>
    {
       // Glob upgrade for bare path / all inclusive
-      let { files, globs } = fileUtil.hydrateGlob('./test/fixture');
+      let { files, globs } = fileUtil.hydrateGlob('./test/fixture', { cwd: '.' });
 
       files = files.map((file) => path.parse(file).base);
 
       assert.strictEqual(JSON.stringify(files), globVerifyFiles);
       assert.strictEqual(JSON.stringify(globs), globVerifyGlobs);
 
-      ({ files, globs } = fileUtil.hydrateGlob(['./test/fixture/*.gz', './test/fixture/*.js']));
+      ({ files, globs } = fileUtil.hydrateGlob(['./test/fixture/*.gz', './test/fixture/*.js'], { cwd: '.' }));
 
       files = files.map((file) => path.parse(file).base);
 
@@ -191,6 +210,1738 @@ describe('FileUtil:', () =>
    });
 });
 
+describe('FileUtil (archive):', () =>
+{
+   const archiveUtil = new FileUtil({ relativePath: './test/fixture/archive' });
+
+   it('archiveExtract (tar.gz / nested)', async () =>
+   {
+      archiveUtil.archiveCreate({ filePath: 'parent' });
+      archiveUtil.writeFile({ fileData: writeData, filePath: 'test.js' });
+
+      archiveUtil.archiveCreate({ filePath: 'child' });
+      archiveUtil.writeFile({ fileData: writeData, filePath: 'src/test2.js' });
+
+      archiveUtil.archiveFinalize();
+      await archiveUtil.archiveFinalize();
+
+      const files = await archiveUtil.archiveExtract({
+         filePath: './test/fixture/archive/parent.tar.gz',
+         destPath: 'extract-tar'
+      });
+
+      assert.deepEqual(files.sort(), ['child/src/test2.js', 'test.js']);
+
+      const readData = fs.readFileSync('./test/fixture/archive/extract-tar/child/src/test2.js').toString();
+
+      assert.strictEqual(readData, writeData);
+      assert.isFalse(fs.existsSync('./test/fixture/archive/extract-tar/child.tar.gz'));
+   });
+
+   it('archiveExtract (zip / filter / not nested)', async () =>
+   {
+      archiveUtil.setOptions({ compressFormat: 'zip' });
+
+      archiveUtil.archiveCreate({ filePath: 'parent' });
+      archiveUtil.writeFile({ fileData: writeData, filePath: 'test.js' });
+      archiveUtil.writeFile({ fileData: writeData, filePath: 'test.md' });
+
+      archiveUtil.archiveCreate({ filePath: 'child' });
+      archiveUtil.writeFile({ fileData: writeData, filePath: 'test2.js' });
+
+      archiveUtil.archiveFinalize();
+      await archiveUtil.archiveFinalize();
+
+      archiveUtil.setOptions({ compressFormat: 'tar.gz' });
+
+      let files = await archiveUtil.archiveExtract({
+         filePath: './test/fixture/archive/parent.zip',
+         destPath: 'extract-zip',
+         filter: (entry) => !entry.name.endsWith('.md')
+      });
+
+      assert.deepEqual(files.sort(), ['child/test2.js', 'test.js']);
+
+      files = await archiveUtil.archiveExtract({
+         filePath: './test/fixture/archive/parent.zip',
+         destPath: 'extract-zip2',
+         nested: false
+      });
+
+      assert.deepEqual(files.sort(), ['child.zip', 'test.js', 'test.md']);
+   });
+
+   it('archiveList', async () =>
+   {
+      let entries = await archiveUtil.archiveList({ filePath: './test/fixture/archive/parent.tar.gz' });
+
+      assert.deepEqual(entries.map((entry) => entry.name).sort(), ['child.tar.gz', 'test.js']);
+
+      const entry = entries.find((entry) => entry.name === 'test.js');
+
+      assert.strictEqual(entry.size, writeData.length);
+      assert.strictEqual(entry.type, 'file');
+      assert.instanceOf(entry.mtime, Date);
+      assert.isNumber(entry.mode);
+
+      entries = await archiveUtil.archiveList({ filePath: './test/fixture/archive/parent.zip', nested: true });
+
+      assert.deepEqual(entries.map((entry) => entry.name).sort(),
+       ['child.zip', 'child.zip!/test2.js', 'test.js', 'test.md']);
+   });
+
+   it('archiveExtract / archiveList (plain file with archive extension)', async () =>
+   {
+      archiveUtil.archiveCreate({ filePath: 'plain' });
+      archiveUtil.writeFile({ fileData: 'not a zip', filePath: 'notes.zip' });
+      await archiveUtil.archiveFinalize();
+
+      const files = await archiveUtil.archiveExtract({ filePath: './test/fixture/archive/plain.tar.gz',
+       destPath: 'extract-plain' });
+
+      assert.deepEqual(files, ['notes.zip']);
+      assert.strictEqual(fs.readFileSync('./test/fixture/archive/extract-plain/notes.zip').toString(), 'not a zip');
+
+      const entries = await archiveUtil.archiveList({ filePath: './test/fixture/archive/plain.tar.gz', nested: true });
+
+      assert.deepEqual(entries.map((entry) => entry.name), ['notes.zip']);
+   });
+
+   it('archiveCreate (tar / tar.br / compressLevel)', async () =>
+   {
+      for (const compressFormat of ['tar', 'tar.br'])
+      {
+         archiveUtil.setOptions({ compressFormat, compressLevel: 1 });
+
+         archiveUtil.archiveCreate({ filePath: 'format' });
+         archiveUtil.writeFile({ fileData: writeData, filePath: 'test.js' });
+         await archiveUtil.archiveFinalize();
+
+         const entries = await archiveUtil.archiveList({ filePath: `./test/fixture/archive/format.${compressFormat}` });
+
+         assert.deepEqual(entries.map((entry) => entry.name), ['test.js']);
+      }
+
+      // The zlib default level of -1 is clamped to the lowest Brotli quality rather than wrapping to the highest.
+      // Stream chunking varies between Node versions so the output is compared against a one shot quality 11 result.
+      archiveUtil.setOptions({ compressFormat: 'tar.br', compressLevel: -1 });
+
+      archiveUtil.archiveCreate({ filePath: 'level-1' });
+      archiveUtil.copy({ srcPath: './src/FileUtil.js', destPath: 'FileUtil.js' });
+      await archiveUtil.archiveFinalize();
+
+      const compressed = fs.readFileSync('./test/fixture/archive/level-1.tar.br');
+
+      const quality11 = zlib.brotliCompressSync(zlib.brotliDecompressSync(compressed), {
+         params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+      });
+
+      assert.isAbove(compressed.length, quality11.length * 1.2);
+
+      archiveUtil.setOptions({ compressFormat: 'tar.gz', compressLevel: 9, reproducible: false });
+   });
+
+   it('registerCompressFormat', async () =>
+   {
+      archiveUtil.registerCompressFormat({
+         compressFormat: 'tar.deflate',
+         handler: {
+            format: 'tar',
+            compress: ({ level }) => zlib.createDeflate({ level }),
+            decompress: () => zlib.createInflate()
+         }
+      });
+
+      archiveUtil.setOptions({ compressFormat: 'tar.deflate', compressOptions: { 'tar.deflate': { level: 0 } } });
+
+      archiveUtil.archiveCreate({ filePath: 'custom' });
+      archiveUtil.writeFile({ fileData: writeData, filePath: 'test.js' });
+      await archiveUtil.archiveFinalize();
+
+      archiveUtil.setOptions({ compressFormat: 'tar.gz', compressOptions: {} });
+
+      const files = await archiveUtil.archiveExtract({
+         filePath: './test/fixture/archive/custom.tar.deflate',
+         destPath: 'extract-custom'
+      });
+
+      assert.deepEqual(files, ['test.js']);
+
+      assert.throws(() => archiveUtil.registerCompressFormat({ compressFormat: 'bad', handler: {} }));
+   });
+
+   it('archiveExtract (throws)', async () =>
+   {
+      let error;
+
+      try { await archiveUtil.archiveExtract({ filePath: 'unknown.rar', destPath: 'extract' }); }
+      catch (err) { error = err; }
+
+      assert.instanceOf(error, Error);
+   });
+});
+
+describe('FileUtil (async):', () =>
+{
+   const asyncUtil = new FileUtil({ relativePath: './test/fixture/async', concurrency: 2 });
+
+   it('writeFileAsync / copyAsync', async () =>
+   {
+      await Promise.all([...Array(10).keys()].map((index) =>
+       asyncUtil.writeFileAsync({ fileData: writeData, filePath: `write/test${index}.js` })));
+
+      await asyncUtil.copyAsync({ srcPath: './test/fixture/async/write', destPath: 'copy' });
+
+      for (let cntr = 0; cntr < 10; cntr++)
+      {
+         assert.strictEqual(fs.readFileSync(`./test/fixture/async/copy/test${cntr}.js`).toString(), writeData);
+      }
+   });
+
+   it('hydrateGlobAsync', async () =>
+   {
+      const { files, globs } = await asyncUtil.hydrateGlobAsync('copy');
+
+      assert.lengthOf(files, 10);
+      assert.deepEqual(globs, [`copy${path.sep}**${path.sep}*`]);
+
+      assert.deepEqual(files, asyncUtil.hydrateGlob('copy').files);
+   });
+
+   it('readLinesAsync', async () =>
+   {
+      const readLines = await asyncUtil.readLinesAsync({
+         filePath: './test/fixture/async/copy/test0.js',
+         lineStart: 2,
+         lineEnd: 10
+      });
+
+      assert.strictEqual(readLines.join('\n'), readLineData);
+   });
+
+   it('emptyRelativePathAsync', async () =>
+   {
+      await asyncUtil.emptyRelativePathAsync();
+
+      assert.lengthOf(fs.readdirSync('./test/fixture/async'), 0);
+   });
+});
+
+describe('FileUtil (dryRun):', () =>
+{
+   it('getOperationLog', async () =>
+   {
+      const dryUtil = new FileUtil({ relativePath: './test/fixture/dryrun', dryRun: true });
+
+      dryUtil.writeFile({ fileData: writeData, filePath: 'test.js' });
+      dryUtil.copy({ srcPath: './test/src/FileUtil.js', destPath: 'copy.js' });
+
+      dryUtil.archiveCreate({ filePath: 'docs' });
+      dryUtil.writeFile({ fileData: writeData, filePath: 'index.js' });
+      dryUtil.archiveCreate({ filePath: 'child' });
+      await dryUtil.writeFileAsync({ fileData: Buffer.from('abc'), filePath: 'child.js' });
+      dryUtil.archiveFinalize();
+      await dryUtil.archiveFinalize();
+
+      dryUtil.emptyRelativePath();
+
+      assert.isFalse(fs.existsSync('./test/fixture/dryrun'));
+
+      const operationLog = dryUtil.getOperationLog({ clear: true });
+
+      assert.deepEqual(operationLog.map((operation) => operation.type),
+       ['write', 'copy', 'archive:create', 'write', 'archive:create', 'write', 'archive:finalize', 'archive:finalize',
+        'empty']);
+
+      assert.deepEqual(operationLog[0], {
+         type: 'write',
+         filePath: 'test.js',
+         resolvedPath: path.resolve('./test/fixture/dryrun/test.js'),
+         size: writeData.length,
+         inArchive: false,
+         archive: null
+      });
+
+      assert.strictEqual(operationLog[1].size, fs.statSync('./test/src/FileUtil.js').size);
+
+      assert.deepEqual(operationLog[5], {
+         type: 'write',
+         filePath: 'child.js',
+         resolvedPath: `${path.resolve('./test/fixture/dryrun/docs.tar.gz')}!/child.tar.gz!/child.js`,
+         size: 3,
+         inArchive: true,
+         archive: 'docs.tar.gz!/child.tar.gz'
+      });
+
+      assert.lengthOf(dryUtil.getOperationLog(), 0);
+   });
+});
+
+describe('FileUtil (confineToRelative):', () =>
+{
+   it('confineToRelative (throws)', async () =>
+   {
+      const confineUtil = new FileUtil({ relativePath: './test/fixture/confine', confineToRelative: true,
+       lockRelative: true });
+
+      confineUtil.writeFile({ fileData: writeData, filePath: 'sub/../test.js' });
+
+      assert.isTrue(fs.existsSync('./test/fixture/confine/test.js'));
+
+      assert.throws(() => confineUtil.writeFile({ fileData: writeData, filePath: '../../escape.js' }),
+       PathConfinementError);
+
+      assert.throws(() => confineUtil.copy({ srcPath: './test/fixture/confine/test.js', destPath: '/tmp/escape.js' }),
+       PathConfinementError);
+
+      assert.throws(() => confineUtil.archiveCreate({ filePath: '../archive' }), PathConfinementError);
+
+      let error;
+
+      try { await confineUtil.writeFileAsync({ fileData: writeData, filePath: '../escape.js' }); }
+      catch (err) { error = err; }
+
+      assert.instanceOf(error, PathConfinementError);
+      assert.strictEqual(error.code, 'ERR_PATH_CONFINEMENT');
+      assert.strictEqual(error.filePath, '../escape.js');
+
+      // `confineToRelative` may not be changed once `lockRelative` is set.
+      confineUtil.setOptions({ confineToRelative: false });
+
+      assert.isTrue(confineUtil.getOptions().confineToRelative);
+   });
+
+   it('confineToRelative (normalize)', async () =>
+   {
+      const confineUtil = new FileUtil({ relativePath: './test/fixture/confine', confineToRelative: 'normalize' });
+
+      confineUtil.writeFile({ fileData: writeData, filePath: '../../normalize/test.js' });
+
+      assert.isTrue(fs.existsSync('./test/fixture/confine/normalize/test.js'));
+
+      confineUtil.archiveCreate({ filePath: 'archive' });
+      confineUtil.writeFile({ fileData: writeData, filePath: '../entry.js' });
+      confineUtil.copy({ srcPath: './test/fixture/confine/test.js', destPath: '/abs/test.js' });
+      await confineUtil.archiveFinalize();
+
+      const entries = await confineUtil.archiveList({ filePath: './test/fixture/confine/archive.tar.gz' });
+
+      assert.deepEqual(entries.map((entry) => entry.name).sort(), ['abs/test.js', 'entry.js']);
+   });
+});
+
+describe('FileUtil (incremental):', () =>
+{
+   it('writeFile / copy (incremental)', async () =>
+   {
+      let incrementalUtil = new FileUtil({ relativePath: './test/fixture/incremental', incremental: true });
+
+      assert.strictEqual(incrementalUtil.writeFile({ fileData: writeData, filePath: 'test.js' }), 'created');
+      assert.strictEqual(incrementalUtil.writeFile({ fileData: writeData, filePath: 'test.js' }), 'skipped');
+      assert.strictEqual(incrementalUtil.writeFile({ fileData: `${writeData}\n`, filePath: 'test.js' }), 'written');
+      assert.strictEqual(incrementalUtil.writeFile({ fileData: writeData, filePath: 'test.js', incremental: false }),
+       'written');
+
+      incrementalUtil.copy({ srcPath: './test/fixture/incremental/test.js', destPath: 'copy/test.js' });
+
+      const mtimeMs = fs.statSync('./test/fixture/incremental/copy/test.js').mtimeMs;
+
+      incrementalUtil.saveIncrementalManifest();
+
+      assert.isTrue(fs.existsSync('./test/fixture/incremental/.fileutil-manifest.json'));
+
+      // A new instance loads the manifest from the previous run.
+      incrementalUtil = new FileUtil({ relativePath: './test/fixture/incremental', incremental: true });
+
+      assert.strictEqual(await incrementalUtil.writeFileAsync({ fileData: writeData, filePath: 'test.js' }),
+       'skipped');
+
+      await incrementalUtil.copyAsync({ srcPath: './test/fixture/incremental/copy', destPath: 'copy' });
+
+      assert.strictEqual(fs.statSync('./test/fixture/incremental/copy/test.js').mtimeMs, mtimeMs);
+
+      await incrementalUtil.copyAsync({ srcPath: './test/fixture/incremental/copy', destPath: 'copy-async' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/incremental/copy-async/test.js').toString(), writeData);
+   });
+
+   it('writeFileAsync / copyAsync (incremental without blocking calls)', async () =>
+   {
+      const asyncUtil = new FileUtil({ relativePath: './test/fixture/incremental', incremental: true, trackOutput: true,
+       eventbus: { trigger: () => {} } });
+
+      const names = ['existsSync', 'ensureDirSync', 'lstatSync', 'readFileSync', 'readJsonSync', 'readdirSync',
+       'statSync'];
+
+      const original = names.map((name) => fs[name]);
+      const calls = [];
+
+      names.forEach((name, index) => fs[name] = (...args) =>
+      {
+         calls.push(name);
+
+         return original[index](...args);
+      });
+
+      try
+      {
+         await asyncUtil.writeFileAsync({ fileData: writeData, filePath: 'blocking/test.js', silent: true });
+         await asyncUtil.copyAsync({ srcPath: './test/fixture/incremental/blocking', destPath: 'blocking-copy',
+          silent: true });
+         await asyncUtil.copyAsync({ srcPath: './test/fixture/incremental/blocking', destPath: 'blocking-copy',
+          silent: true });
+      }
+      finally
+      {
+         names.forEach((name, index) => fs[name] = original[index]);
+      }
+
+      assert.deepEqual(calls, []);
+      assert.strictEqual(fs.readFileSync('./test/fixture/incremental/blocking-copy/test.js').toString(), writeData);
+
+      const entries = await asyncUtil.writeManifest({ filePath: 'blocking/manifest.json', silent: true });
+
+      assert.deepEqual(entries.map((entry) => entry.path), ['blocking-copy/test.js', 'blocking/test.js']);
+   });
+});
+
+describe('FileUtil (manifest):', () =>
+{
+   it('writeManifest', async () =>
+   {
+      const manifestUtil = new FileUtil({ relativePath: './test/fixture/manifest', trackOutput: true });
+
+      manifestUtil.writeFile({ fileData: writeData, filePath: 'index.js' });
+      manifestUtil.copy({ srcPath: './test/fixture/manifest/index.js', destPath: 'copy/index.js' });
+
+      manifestUtil.archiveCreate({ filePath: 'docs' });
+      manifestUtil.writeFile({ fileData: writeData, filePath: 'index.html' });
+      manifestUtil.archiveCreate({ filePath: 'child' });
+      manifestUtil.writeFile({ fileData: 'abc', filePath: 'child.html' });
+      manifestUtil.archiveFinalize();
+      await manifestUtil.archiveFinalize();
+
+      const entries = await manifestUtil.writeManifest({ filePath: 'manifest.json' });
+
+      assert.deepEqual(entries.map((entry) => entry.path), ['copy/index.js', 'docs.tar.gz', 'docs.tar.gz!/child.tar.gz',
+       'docs.tar.gz!/child.tar.gz!/child.html', 'docs.tar.gz!/index.html', 'index.js']);
+
+      const hash = crypto.createHash('sha256').update(writeData).digest('hex');
+
+      assert.deepEqual(entries[4], { path: 'docs.tar.gz!/index.html', size: writeData.length, hash });
+
+      const manifest = JSON.parse(fs.readFileSync('./test/fixture/manifest/manifest.json').toString());
+
+      assert.strictEqual(manifest.algorithm, 'sha256');
+      assert.deepEqual(manifest.files, entries);
+
+      await manifestUtil.writeManifest({ filePath: 'SHA256SUMS', format: 'sum' });
+
+      const sums = fs.readFileSync('./test/fixture/manifest/SHA256SUMS').toString().split('\n');
+
+      assert.strictEqual(sums[5], `${hash}  index.js`);
+   });
+
+   it('writeManifest (plain file with archive extension / dryRun)', async () =>
+   {
+      const manifestUtil = new FileUtil({ relativePath: './test/fixture/manifest-plain', trackOutput: true });
+
+      manifestUtil.archiveCreate({ filePath: 'docs' });
+      manifestUtil.writeFile({ fileData: 'not a zip', filePath: 'plain.zip' });
+      await manifestUtil.archiveFinalize();
+
+      manifestUtil.setOptions({ dryRun: true });
+
+      const entries = await manifestUtil.writeManifest({ filePath: 'manifest.json' });
+
+      assert.deepEqual(entries.map((entry) => entry.path), ['docs.tar.gz', 'docs.tar.gz!/plain.zip']);
+      assert.isFalse(fs.existsSync('./test/fixture/manifest-plain/manifest.json'));
+      assert.strictEqual(manifestUtil.getOperationLog()[0].type, 'write');
+   });
+});
+
+describe('FileUtil (hydrateGlob):', () =>
+{
+   const globUtil = new FileUtil({ relativePath: './test/fixture/glob' });
+
+   before(() =>
+   {
+      globUtil.writeFile({ fileData: writeData, filePath: 'src/test.js' });
+      globUtil.writeFile({ fileData: writeData, filePath: 'src/test.md' });
+      globUtil.writeFile({ fileData: writeData, filePath: 'src/keep.log' });
+      globUtil.writeFile({ fileData: writeData, filePath: 'src/debug.log' });
+      globUtil.writeFile({ fileData: writeData, filePath: 'node_modules/dep/index.js' });
+      globUtil.writeFile({ fileData: writeData, filePath: 'fixture/data.js' });
+      globUtil.writeFile({ fileData: '# comment\nnode_modules/\n*.log\n!keep.log\n/fixture\n',
+       filePath: '.gitignore' });
+   });
+
+   it('hydrateGlob (negation / ignore)', async () =>
+   {
+      const { files, globs, ignore } = globUtil.hydrateGlob(['./test/fixture/glob', '!./test/fixture/glob/node_modules',
+       '!./test/fixture/glob/**/*.log'], { cwd: '.', ignore: ['./test/fixture/glob/fixture'] });
+
+      assert.deepEqual(files.map((file) => path.relative('./test/fixture/glob', file)),
+       ['src/test.js', 'src/test.md']);
+
+      assert.deepEqual(globs, [`./test/fixture/glob${path.sep}**${path.sep}*`]);
+      assert.deepEqual(ignore, ['./test/fixture/glob/node_modules', './test/fixture/glob/**/*.log',
+       './test/fixture/glob/fixture']);
+
+      const result = await globUtil.hydrateGlobAsync(['**/*', '!**/*.md'], { ignore: 'node_modules' });
+
+      assert.notInclude(result.files.map((file) => path.basename(file)), 'test.md');
+      assert.notInclude(result.files.map((file) => path.basename(file)), 'index.js');
+   });
+
+   it('hydrateGlob (ignoreFiles)', () =>
+   {
+      const { files, ignore } = globUtil.hydrateGlob('./', { ignoreFiles: ['.gitignore', '.npmignore'],
+       absolute: false });
+
+      assert.deepEqual(files, ['src/keep.log', 'src/test.js', 'src/test.md']);
+      assert.deepEqual(ignore, ['node_modules/', '*.log', '!keep.log', '/fixture']);
+
+      assert.throws(() => globUtil.hydrateGlob('.', { ignore: [true] }));
+   });
+
+   it('hydrateGlob (extglob negation / ignore file escapes)', () =>
+   {
+      const escapeUtil = new FileUtil({ relativePath: './test/fixture/glob-escape' });
+
+      escapeUtil.writeFile({ fileData: writeData, filePath: 'a.js' });
+      escapeUtil.writeFile({ fileData: writeData, filePath: 'b.md' });
+      escapeUtil.writeFile({ fileData: writeData, filePath: '#notes' });
+      escapeUtil.writeFile({ fileData: writeData, filePath: '!bang' });
+      escapeUtil.writeFile({ fileData: '\\#notes\n\\!bang\n', filePath: '.gitignore' });
+
+      // A leading `!(` is an extglob pattern rather than an exclusion.
+      let { files } = escapeUtil.hydrateGlob('!(*.md|#*|!*)', { absolute: false });
+
+      assert.deepEqual(files, ['a.js']);
+
+      ({ files } = escapeUtil.hydrateGlob('./', { ignoreFiles: ['.gitignore'], absolute: false }));
+
+      assert.deepEqual(files, ['a.js', 'b.md']);
+   });
+
+   it('hydrateGlob (cwd / dot / absolute / sorting)', () =>
+   {
+      let { files } = globUtil.hydrateGlob(['src/*.md', 'src/*.js', 'src/test.*'], { absolute: false });
+
+      assert.deepEqual(files, ['src/test.js', 'src/test.md']);
+
+      ({ files } = globUtil.hydrateGlob('*', { dot: true, absolute: false }));
+
+      assert.deepEqual(files, ['.gitignore']);
+
+      ({ files } = globUtil.hydrateGlob('*.js', { cwd: './test/fixture/glob/src' }));
+
+      assert.deepEqual(files, [path.resolve('./test/fixture/glob/src/test.js').split(path.sep).join('/')]);
+
+      assert.throws(() => globUtil.hydrateGlob('.', { dot: 'true' }));
+   });
+});
+
+describe('FileUtil (copyGlob):', () =>
+{
+   const copyUtil = new FileUtil({ relativePath: './test/fixture/copyglob' });
+
+   before(() =>
+   {
+      copyUtil.writeFile({ fileData: writeData, filePath: 'src/a/test.js' });
+      copyUtil.writeFile({ fileData: writeData, filePath: 'src/a/b/test2.js' });
+      copyUtil.writeFile({ fileData: writeData, filePath: 'src/a/b/readme.md' });
+   });
+
+   it('copyGlob (common path / rename map)', () =>
+   {
+      const result = copyUtil.copyGlob({ globs: 'src/**/*', destPath: 'dest', rename: { '\\.md$': '.txt' } });
+
+      assert.deepEqual(result.copied.map((entry) => entry.destPath),
+       ['dest/b/readme.txt', 'dest/b/test2.js', 'dest/test.js']);
+      assert.strictEqual(result.files, 3);
+      assert.strictEqual(result.bytes, writeData.length * 3);
+
+      assert.isTrue(fs.existsSync('./test/fixture/copyglob/dest/b/readme.txt'));
+      assert.strictEqual(fs.readFileSync('./test/fixture/copyglob/dest/b/test2.js').toString(), writeData);
+   });
+
+   it('copyGlob (base / rename function / archive)', async () =>
+   {
+      copyUtil.archiveCreate({ filePath: 'archive' });
+
+      copyUtil.copyGlob({
+         globs: ['src/**/*.js'],
+         destPath: 'js',
+         base: 'src',
+         rename: (relativePath) => relativePath.toUpperCase()
+      });
+
+      await copyUtil.archiveFinalize();
+
+      const entries = await copyUtil.archiveList({ filePath: './test/fixture/copyglob/archive.tar.gz' });
+
+      assert.deepEqual(entries.map((entry) => entry.name).sort(), ['js/A/B/TEST2.JS', 'js/A/TEST.JS']);
+
+      assert.deepEqual(copyUtil.copyGlob({ globs: 'src/**/*.none', destPath: 'none' }),
+       { copied: [], files: 0, bytes: 0 });
+
+      fs.removeSync('./test/fixture/copyglob/out');
+
+      assert.throws(() => copyUtil.copyGlob({ globs: 'src/**/*', destPath: 'out', base: 'src/a/b' }));
+
+      // No file is copied when any destination is invalid.
+      assert.isFalse(fs.existsSync('./test/fixture/copyglob/out'));
+   });
+});
+
+describe('FileUtil (transforms):', () =>
+{
+   it('writeFile / copy (transforms)', async () =>
+   {
+      const transformUtil = new FileUtil({
+         relativePath: './test/fixture/transforms',
+         transforms: {
+            '.js': (content) => `/* banner */${content}`,
+            '**/*.md': [
+               (content) => content.replace('{{name}}', 'FileUtil'),
+               (content) => content.replace(/\r\n/g, '\n')
+            ]
+         }
+      });
+
+      transformUtil.writeFile({ fileData: 'const a = 1;', filePath: 'src/test.js' });
+      transformUtil.writeFile({ fileData: Buffer.from('# {{name}}\r\n'), filePath: 'docs/readme.md' });
+      transformUtil.writeFile({ fileData: 'unchanged', filePath: 'test.txt' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transforms/src/test.js').toString(),
+       '/* banner */const a = 1;');
+      assert.strictEqual(fs.readFileSync('./test/fixture/transforms/docs/readme.md').toString(), '# FileUtil\n');
+      assert.strictEqual(fs.readFileSync('./test/fixture/transforms/test.txt').toString(), 'unchanged');
+
+      transformUtil.copy({ srcPath: './test/fixture/transforms/test.txt', destPath: 'copy/test.js' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transforms/copy/test.js').toString(), '/* banner */unchanged');
+
+      transformUtil.archiveCreate({ filePath: 'archive' });
+      transformUtil.copy({ srcPath: './test/fixture/transforms/src', destPath: 'src' });
+      await transformUtil.archiveFinalize();
+
+      await transformUtil.archiveExtract({ filePath: './test/fixture/transforms/archive.tar.gz', destPath: 'extract' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transforms/extract/src/test.js').toString(),
+       '/* banner *//* banner */const a = 1;');
+
+      await transformUtil.copyAsync({ srcPath: './test/fixture/transforms/docs', destPath: 'async' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transforms/async/readme.md').toString(), '# FileUtil\n');
+
+      assert.throws(() => transformUtil.setOptions({ transforms: { '.js': 'not a function' } }));
+   });
+
+   it('copy / copyAsync (binary data / empty directories / dryRun)', async () =>
+   {
+      const transformUtil = new FileUtil({ relativePath: './test/fixture/transforms-binary',
+       transforms: { '**/*': (content) => content.toUpperCase() } });
+
+      const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0x00, 0xfe]);
+
+      fs.outputFileSync('./test/fixture/transforms-binary/src/image.png', binary);
+      fs.outputFileSync('./test/fixture/transforms-binary/src/text.txt', 'text');
+      fs.ensureDirSync('./test/fixture/transforms-binary/src/empty');
+
+      transformUtil.copy({ srcPath: './test/fixture/transforms-binary/src', destPath: 'sync', silent: true });
+      await transformUtil.copyAsync({ srcPath: './test/fixture/transforms-binary/src', destPath: 'async',
+       silent: true });
+
+      for (const destPath of ['sync', 'async'])
+      {
+         assert.isTrue(fs.readFileSync(`./test/fixture/transforms-binary/${destPath}/image.png`).equals(binary));
+         assert.strictEqual(fs.readFileSync(`./test/fixture/transforms-binary/${destPath}/text.txt`).toString(),
+          'TEXT');
+         assert.isTrue(fs.statSync(`./test/fixture/transforms-binary/${destPath}/empty`).isDirectory());
+      }
+
+      transformUtil.setOptions({ dryRun: true });
+
+      transformUtil.copy({ srcPath: './test/fixture/transforms-binary/src/text.txt', destPath: 'dry.txt',
+       silent: true });
+
+      assert.deepEqual(transformUtil.getOperationLog().map((entry) => [entry.type, entry.filePath, entry.size]),
+       [['copy', 'dry.txt', 4]]);
+   });
+});
+
+describe('FileUtil (watch):', () =>
+{
+   const watchUtil = new FileUtil({ relativePath: './test/fixture/watch' });
+
+   /**
+    * Polls until the check passes or the timeout elapses.
+    *
+    * @param {function} check - Returns true when the expected state is reached.
+    *
+    * @returns {Promise<boolean>} - The result of the last check.
+    */
+   const waitFor = async (check) =>
+   {
+      for (let cntr = 0; cntr < 50 && !check(); cntr++)
+      {
+         await new Promise((resolve) => setTimeout(resolve, 100));
+      }
+
+      return check();
+   };
+
+   it('watch (initial sync / add / change / remove)', async () =>
+   {
+      watchUtil.writeFile({ fileData: 'a', filePath: 'src/a.js' });
+      watchUtil.writeFile({ fileData: 'b', filePath: 'src/sub/b.js' });
+
+      const handle = watchUtil.watch({ globs: 'src/**/*.js', destPath: 'dest', debounce: 50, silent: true });
+
+      try
+      {
+         await handle.ready;
+
+         assert.strictEqual(fs.readFileSync('./test/fixture/watch/dest/a.js').toString(), 'a');
+         assert.strictEqual(fs.readFileSync('./test/fixture/watch/dest/sub/b.js').toString(), 'b');
+
+         watchUtil.writeFile({ fileData: 'changed', filePath: 'src/a.js' });
+         watchUtil.writeFile({ fileData: 'c', filePath: 'src/sub/c.js' });
+         fs.removeSync('./test/fixture/watch/src/sub/b.js');
+
+         assert.isTrue(await waitFor(() => fs.existsSync('./test/fixture/watch/dest/sub/c.js') &&
+          !fs.existsSync('./test/fixture/watch/dest/sub/b.js') &&
+           fs.readFileSync('./test/fixture/watch/dest/a.js').toString() === 'changed'));
+      }
+      finally
+      {
+         await handle.close();
+      }
+
+      assert.throws(() => watchUtil.watch({ globs: 'src/**/*.js' }), TypeError);
+   });
+
+   it('watch (confined removal / close before ready)', async () =>
+   {
+      const confineUtil = new FileUtil({ relativePath: './test/fixture/watch/confine',
+       confineToRelative: 'normalize' });
+
+      confineUtil.writeFile({ fileData: 'a', filePath: 'src/a.js', silent: true });
+      fs.outputFileSync('./test/fixture/watch/a.js', 'outside');
+
+      const handle = confineUtil.watch({ globs: 'src/**/*.js', destPath: 'dest', debounce: 50, silent: true,
+       rename: () => '../a.js' });
+
+      try
+      {
+         await handle.ready;
+
+         assert.strictEqual(fs.readFileSync('./test/fixture/watch/confine/a.js').toString(), 'a');
+
+         fs.removeSync('./test/fixture/watch/confine/src/a.js');
+
+         assert.isTrue(await waitFor(() => !fs.existsSync('./test/fixture/watch/confine/a.js')));
+         assert.strictEqual(fs.readFileSync('./test/fixture/watch/a.js').toString(), 'outside');
+      }
+      finally
+      {
+         await handle.close();
+      }
+
+      const closedHandle = confineUtil.watch({ globs: 'src/**/*.js', destPath: 'dest', silent: true });
+
+      await closedHandle.close();
+      await closedHandle.ready;
+   });
+
+   it('watch (active archive)', async () =>
+   {
+      const errors = [];
+
+      const archiveUtil = new FileUtil({ relativePath: './test/fixture/watch/archive',
+       logger: (record) => { if (record.level === 'error') { errors.push(record.message); } } });
+
+      archiveUtil.writeFile({ fileData: 'a', filePath: 'src/a.js', silent: true });
+
+      archiveUtil.archiveCreate({ filePath: 'archive', silent: true });
+
+      // The handle is closed if the watch unexpectedly starts so that the watcher does not keep the process alive.
+      assert.throws(() => archiveUtil.watch({ globs: 'src/**/*.js', destPath: 'dest', silent: true }).close(),
+       `'watch' may not target an active archive.`);
+
+      await archiveUtil.archiveAbort({ silent: true });
+
+      const handle = archiveUtil.watch({ globs: 'src/**/*.js', destPath: 'dest', debounce: 50, silent: true });
+
+      try
+      {
+         await handle.ready;
+
+         archiveUtil.archiveCreate({ filePath: 'archive', silent: true });
+
+         fs.outputFileSync('./test/fixture/watch/archive/src/a.js', 'changed');
+
+         assert.isTrue(await waitFor(() => errors.length > 0));
+         assert.deepEqual(errors, [`FileUtil.watch: sync failed: 'watch' may not target an active archive.`]);
+         assert.strictEqual(fs.readFileSync('./test/fixture/watch/archive/dest/a.js').toString(), 'a');
+      }
+      finally
+      {
+         await archiveUtil.archiveAbort({ silent: true });
+         await handle.close();
+      }
+   });
+});
+
+describe('FileUtil (sync):', () =>
+{
+   const syncUtil = new FileUtil({ relativePath: './test/fixture/sync' });
+
+   it('sync (added / updated / removed / unchanged)', () =>
+   {
+      syncUtil.writeFile({ fileData: 'a', filePath: 'src/a.js' });
+      syncUtil.writeFile({ fileData: 'b', filePath: 'src/sub/b.js' });
+
+      let result = syncUtil.sync({ srcPath: './test/fixture/sync/src', destPath: 'dest', silent: true });
+
+      assert.deepEqual(result, { added: ['a.js', 'sub/b.js'], updated: [], removed: [], unchanged: [], files: 2,
+       bytes: 2 });
+
+      syncUtil.writeFile({ fileData: 'changed', filePath: 'src/a.js' });
+      syncUtil.writeFile({ fileData: 'stale', filePath: 'dest/stale/stale.js' });
+
+      result = syncUtil.sync({ srcPath: './test/fixture/sync/src', destPath: 'dest', silent: true });
+
+      assert.deepEqual(result, { added: [], updated: ['a.js'], removed: [], unchanged: ['sub/b.js'], files: 1,
+       bytes: 7 });
+      assert.isTrue(fs.existsSync('./test/fixture/sync/dest/stale/stale.js'));
+
+      // Same size with differing content is updated when comparing by hash.
+      syncUtil.writeFile({ fileData: 'B', filePath: 'dest/sub/b.js' });
+
+      result = syncUtil.sync({ 'srcPath': './test/fixture/sync/src', 'destPath': 'dest', 'delete': true,
+       'compare': 'hash', 'silent': true });
+
+      assert.deepEqual(result, { added: [], updated: ['sub/b.js'], removed: ['stale/stale.js'], unchanged: ['a.js'],
+       files: 1, bytes: 1 });
+      assert.isFalse(fs.existsSync('./test/fixture/sync/dest/stale'));
+      assert.strictEqual(fs.readFileSync('./test/fixture/sync/dest/sub/b.js').toString(), 'b');
+
+      assert.throws(() => syncUtil.sync({ srcPath: './test/fixture/sync/src', destPath: 'dest', compare: 'size' }),
+       TypeError);
+   });
+
+   it('sync (dryRun)', () =>
+   {
+      const dryRunUtil = new FileUtil({ relativePath: './test/fixture/sync', dryRun: true });
+
+      dryRunUtil.writeFile({ fileData: 'stale', filePath: 'dest/dryrun.js' });
+      fs.outputFileSync('./test/fixture/sync/dest/dryrun.js', 'stale');
+
+      const result = dryRunUtil.sync({ 'srcPath': './test/fixture/sync/src', 'destPath': 'dest', 'delete': true,
+       'silent': true });
+
+      assert.deepEqual(result.removed, ['dryrun.js']);
+      assert.isTrue(fs.existsSync('./test/fixture/sync/dest/dryrun.js'));
+      assert.deepEqual(dryRunUtil.getOperationLog().map((entry) => entry.type), ['write', 'remove']);
+   });
+});
+
+describe('FileUtil (transaction):', () =>
+{
+   const transactionUtil = new FileUtil({ relativePath: './test/fixture/transaction/out', atomic: true });
+
+   before(() => fs.emptyDirSync('./test/fixture/transaction'));
+
+   it('writeFile (atomic)', async () =>
+   {
+      assert.strictEqual(transactionUtil.writeFile({ fileData: 'atomic', filePath: 'atomic.txt' }), 'created');
+      assert.strictEqual(await transactionUtil.writeFileAsync({ fileData: 'async', filePath: 'sub/async.txt' }),
+       'created');
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/atomic.txt').toString(), 'atomic');
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/sub/async.txt').toString(), 'async');
+      assert.deepEqual(fs.readdirSync('./test/fixture/transaction/out').sort(), ['atomic.txt', 'sub']);
+   });
+
+   it('transaction (rollback)', () =>
+   {
+      const transaction = transactionUtil.transaction();
+
+      transactionUtil.writeFile({ fileData: 'discarded', filePath: 'atomic.txt' });
+      transactionUtil.copy({ srcPath: './test/fixture/transaction/out/sub', destPath: 'copy' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/.out.staging/atomic.txt').toString(),
+       'discarded');
+      assert.throws(() => transactionUtil.transaction());
+
+      transaction.rollback();
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/atomic.txt').toString(), 'atomic');
+      assert.isFalse(fs.existsSync('./test/fixture/transaction/out/copy'));
+      assert.isFalse(fs.existsSync(transaction.stagingPath));
+      assert.throws(() => transaction.commit());
+   });
+
+   it('transaction (commit)', async () =>
+   {
+      let transaction = transactionUtil.transaction();
+
+      transactionUtil.writeFile({ fileData: 'committed', filePath: 'atomic.txt' });
+      transactionUtil.archiveCreate({ filePath: 'archive' });
+      transactionUtil.writeFile({ fileData: 'entry', filePath: 'entry.txt' });
+      await transactionUtil.archiveFinalize();
+
+      transaction.commit();
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/atomic.txt').toString(), 'committed');
+      assert.isTrue(fs.existsSync('./test/fixture/transaction/out/archive.tar.gz'));
+      assert.isTrue(fs.existsSync('./test/fixture/transaction/out/sub/async.txt'));
+      assert.strictEqual(transactionUtil.getOptions().relativePath, './test/fixture/transaction/out');
+
+      // Emptying the output during a transaction replaces the output as a whole on commit.
+      transaction = transactionUtil.transaction();
+
+      transactionUtil.emptyRelativePath();
+      transactionUtil.writeFile({ fileData: 'replaced', filePath: 'replaced.txt' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/atomic.txt').toString(), 'committed');
+
+      transaction.commit();
+
+      assert.deepEqual(fs.readdirSync('./test/fixture/transaction/out'), ['replaced.txt']);
+      assert.deepEqual(fs.readdirSync('./test/fixture/transaction').sort(), ['out']);
+   });
+
+   it('transaction (relativePath / globs / incremental)', () =>
+   {
+      transactionUtil.writeFile({ fileData: 'kept', filePath: 'kept/kept.txt', incremental: true });
+      transactionUtil.saveIncrementalManifest();
+
+      const transaction = transactionUtil.transaction();
+
+      // Globs and options still resolve against the output while destinations are staged.
+      assert.strictEqual(transactionUtil.getOptions().relativePath, './test/fixture/transaction/out');
+      assert.includeMembers(transactionUtil.hydrateGlob('**/*.txt', { absolute: false }).files,
+       ['kept/kept.txt', 'replaced.txt']);
+
+      transactionUtil.copyGlob({ globs: 'kept/*.txt', destPath: 'copied' });
+
+      assert.strictEqual(transactionUtil.writeFile({ fileData: 'kept', filePath: 'kept/kept.txt', incremental: true }),
+       'skipped');
+      assert.strictEqual(transactionUtil.writeFile({ fileData: 'new', filePath: 'new.txt', incremental: true }),
+       'created');
+
+      assert.isFalse(fs.existsSync(path.join(transaction.stagingPath, 'kept/kept.txt')));
+
+      transaction.commit();
+
+      assert.deepEqual(fs.readdirSync('./test/fixture/transaction/out').sort(), ['.fileutil-manifest.json', 'copied',
+       'kept', 'new.txt', 'replaced.txt']);
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/kept/kept.txt').toString(), 'kept');
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/copied/kept.txt').toString(), 'kept');
+      assert.deepEqual(fs.readdirSync('./test/fixture/transaction').sort(), ['out']);
+   });
+
+   it('transaction (appendNDJSON)', () =>
+   {
+      transactionUtil.appendNDJSON({ records: { a: 1 }, filePath: 'log.ndjson', silent: true });
+
+      const transaction = transactionUtil.transaction();
+
+      transactionUtil.appendNDJSON({ records: { b: 2 }, filePath: 'log.ndjson', silent: true });
+      transactionUtil.appendNDJSON({ records: { c: 3 }, filePath: 'log.ndjson', silent: true });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/log.ndjson').toString(), '{"a":1}\n');
+
+      transaction.commit();
+
+      // Records appended before the transaction survive the commit.
+      assert.strictEqual(fs.readFileSync('./test/fixture/transaction/out/log.ndjson').toString(),
+       '{"a":1}\n{"b":2}\n{"c":3}\n');
+   });
+
+   it('transaction (sync)', () =>
+   {
+      fs.outputFileSync('./test/fixture/transaction/src/keep.txt', 'keep');
+      fs.outputFileSync('./test/fixture/transaction/src/new.txt', 'new');
+
+      transactionUtil.sync({ srcPath: './test/fixture/transaction/src', destPath: 'mirror', silent: true });
+      transactionUtil.writeFile({ fileData: 'stale', filePath: 'mirror/stale/stale.txt', silent: true });
+
+      fs.removeSync('./test/fixture/transaction/src/new.txt');
+
+      const transaction = transactionUtil.transaction();
+
+      // The staged destination is compared with the output.
+      const result = transactionUtil.sync({ 'srcPath': './test/fixture/transaction/src', 'destPath': 'mirror',
+       'delete': true, 'silent': true });
+
+      assert.deepEqual(result.added, []);
+      assert.deepEqual(result.unchanged, ['keep.txt']);
+      assert.deepEqual(result.removed, ['new.txt', 'stale/stale.txt']);
+
+      transaction.commit();
+
+      assert.deepEqual(fs.readdirSync('./test/fixture/transaction/out/mirror'), ['keep.txt']);
+
+      fs.removeSync('./test/fixture/transaction/src');
+   });
+});
+
+describe('FileUtil (readLines):', () =>
+{
+   const linesUtil = new FileUtil({ relativePath: './test/fixture/readlines' });
+
+   const filePath = './test/fixture/readlines/crlf.txt';
+
+   before(() =>
+   {
+      const lines = [];
+
+      for (let cntr = 1; cntr <= 12; cntr++) { lines.push(`line ${cntr}`); }
+
+      linesUtil.writeFile({ fileData: lines.join('\r\n'), filePath: 'crlf.txt' });
+   });
+
+   it('readLines (raw / base / CRLF)', () =>
+   {
+      assert.deepEqual(linesUtil.readLines({ filePath, lineStart: 0, lineEnd: 2, raw: true }), ['line 1', 'line 2']);
+      assert.deepEqual(linesUtil.readLines({ filePath, lineStart: 1, lineEnd: 2, base: 1 }),
+       ['1| line 1', '2| line 2']);
+      assert.deepEqual(linesUtil.readLines({ filePath, lineStart: 11, lineEnd: 20, base: 1 }),
+       ['11| line 11', '12| line 12']);
+   });
+
+   it('readLines (around / padding / formatter / highlight)', async () =>
+   {
+      assert.deepEqual(linesUtil.readLines({ filePath, around: { line: 10, context: 1 }, base: 1, padding: true,
+       highlight: 10 }), ['   9| line 9', '> 10| line 10', '  11| line 11']);
+
+      assert.deepEqual(await linesUtil.readLinesAsync({ filePath, around: { line: 0 }, padding: true,
+       formatter: (lineNumber, line) => `${lineNumber}: ${line}` }), ['1: line 1', '2: line 2', '3: line 3']);
+
+      assert.throws(() => linesUtil.readLines({ filePath, around: { line: 1 }, base: 2 }), TypeError);
+      assert.throws(() => linesUtil.readLines({ filePath, lineStart: 1 }), TypeError);
+   });
+
+   it('readLinesStream (large file / early return)', async () =>
+   {
+      const lines = [];
+
+      for (let cntr = 1; cntr <= 100000; cntr++) { lines.push(`line ${cntr}`); }
+
+      linesUtil.writeFile({ fileData: lines.join('\r\n'), filePath: 'large.txt' });
+
+      const stream = linesUtil.readLinesStream({ filePath: './test/fixture/readlines/large.txt',
+       around: { line: 50000 }, base: 1, highlight: 50000 });
+
+      assert.deepEqual(await collect(stream), ['  49998| line 49998', '  49999| line 49999', '> 50000| line 50000',
+       '  50001| line 50001', '  50002| line 50002']);
+
+      const iterator = linesUtil.readLinesStream({ filePath: './test/fixture/readlines/large.txt', lineStart: 0,
+       lineEnd: Infinity, raw: true })[Symbol.asyncIterator]();
+
+      assert.deepEqual(await iterator.next(), { value: 'line 1', done: false });
+      assert.deepEqual(await iterator.return(), { value: void 0, done: true });
+      assert.deepEqual(await iterator.next(), { value: void 0, done: true });
+   });
+
+   it('readLinesStream (long lines spanning chunks)', async () =>
+   {
+      // A minified bundle is a single line far larger than the 64 KiB read stream chunks.
+      const bundle = 'x'.repeat(1024 * 1024);
+
+      linesUtil.writeFile({ fileData: `${bundle}\r\n${bundle}\r\nlast`, filePath: 'minified.txt' });
+
+      const lines = await collect(linesUtil.readLinesStream({ filePath: './test/fixture/readlines/minified.txt',
+       lineStart: 1, lineEnd: 3, raw: true }));
+
+      assert.lengthOf(lines, 2);
+      assert.strictEqual(lines[0], bundle);
+      assert.strictEqual(lines[1], 'last');
+   });
+
+   it('readLinesStream (encoding)', async () =>
+   {
+      linesUtil.writeFile({ fileData: Buffer.from('caf\u00e9\nna\u00efve\n', 'latin1'), filePath: 'latin1.txt' });
+
+      assert.deepEqual(await collect(linesUtil.readLinesStream({ filePath: './test/fixture/readlines/latin1.txt',
+       lineStart: 0, lineEnd: 10, encoding: 'latin1', raw: true })), ['caf\u00e9', 'na\u00efve', '']);
+
+      assert.throws(() => linesUtil.readLinesStream({ filePath, lineStart: 0, lineEnd: 1, encoding: 'unknown' }),
+       TypeError);
+   });
+});
+
+describe('FileUtil (commonPath):', () =>
+{
+   it('commonPath (separators / drive letters / UNC roots)', () =>
+   {
+      assert.strictEqual(fileUtil.commonPath('C:\\docs\\api\\a.js', 'c:/docs/api/b.js', 'C:\\docs\\guide\\c.js'),
+       'C:/docs/');
+      assert.strictEqual(fileUtil.commonPath('C:\\docs\\a.js', 'D:\\docs\\b.js'), '');
+      assert.strictEqual(fileUtil.commonPath('C:\\a.js', 'C:\\b.js'), 'C:/');
+      assert.strictEqual(fileUtil.commonPath('\\\\Server\\Share\\docs\\a.js', '//server/share/docs/b.js'),
+       '//Server/Share/docs/');
+      assert.strictEqual(fileUtil.commonPath('/a/x.js', '/b/y.js'), '/');
+      assert.strictEqual(fileUtil.commonPath('/a/b/c', '/a/b'), '/a/b/');
+      assert.strictEqual(fileUtil.commonPath('/a/b', 'a/b'), '');
+   });
+
+   it('commonPath (options)', () =>
+   {
+      assert.strictEqual(fileUtil.commonPath('/Docs/API/a.js', '/docs/api/b.js'), '/');
+      assert.strictEqual(fileUtil.commonPath('/Docs/API/a.js', '/docs/api/b.js', { caseInsensitive: true }),
+       '/Docs/API/');
+      assert.strictEqual(fileUtil.commonPath('/docs/a.js', '/docs/b.js', { trailingSeparator: false }), '/docs');
+      assert.strictEqual(fileUtil.commonPath('/a.js', '/b.js', { trailingSeparator: false }), '/');
+      assert.strictEqual(fileUtil.commonPath('test/a.js', 'test/b.js', { absolute: true, trailingSeparator: false }),
+       path.resolve('test'));
+
+      assert.strictEqual(fileUtil.commonMappedPath('path', { path: 'C:\\docs\\a.js' }, { path: 'C:/Docs/b.js' },
+       { caseInsensitive: true, trailingSeparator: false }), 'C:/docs');
+
+      assert.throws(() => fileUtil.commonPath('/a', '/b', { absolute: 'true' }), TypeError);
+   });
+});
+
+describe('FileUtil (path helpers):', () =>
+{
+   it('rebasePaths', () =>
+   {
+      assert.deepEqual(fileUtil.rebasePaths(['src/api/a.js', 'src\\b.js'], 'src', 'docs/out'),
+       ['docs/out/api/a.js', 'docs/out/b.js']);
+      assert.deepEqual(fileUtil.rebasePaths(['/src/a.js'], '/src/', ''), ['a.js']);
+
+      assert.throws(() => fileUtil.rebasePaths(['other/a.js'], 'src', 'docs'), Error);
+   });
+
+   it('relativeToCommon', () =>
+   {
+      assert.deepEqual(fileUtil.relativeToCommon(['/docs/api/a.js', '/docs/api/sub/b.js', '/docs/c.js']),
+       ['api/a.js', 'api/sub/b.js', 'c.js']);
+      assert.deepEqual(fileUtil.relativeToCommon(['C:\\Docs\\a.js', 'c:/docs/b.js'], { caseInsensitive: true }),
+       ['a.js', 'b.js']);
+      assert.deepEqual(fileUtil.relativeToCommon(['/docs/a.js']), ['a.js']);
+      assert.deepEqual(fileUtil.relativeToCommon(['C:\\a.js', 'D:\\b.js']), ['C:/a.js', 'D:/b.js']);
+      assert.deepEqual(fileUtil.relativeToCommon([]), []);
+   });
+
+   it('buildTree', () =>
+   {
+      const tree = fileUtil.buildTree(['/docs/index.html', '/docs/api/b.html', '/docs/api/a.html',
+       '/docs/api/class/c.html']);
+
+      assert.deepEqual(tree, {
+         name: '',
+         path: '',
+         fileCount: 4,
+         directories: [
+            {
+               name: 'api',
+               path: 'api',
+               fileCount: 3,
+               directories: [
+                  {
+                     name: 'class',
+                     path: 'api/class',
+                     fileCount: 1,
+                     directories: [],
+                     files: [{ name: 'c.html', path: 'api/class/c.html' }]
+                  }
+               ],
+               files: [{ name: 'a.html', path: 'api/a.html' }, { name: 'b.html', path: 'api/b.html' }]
+            }
+         ],
+         files: [{ name: 'index.html', path: 'index.html' }]
+      });
+   });
+});
+
+describe('FileUtil (json):', () =>
+{
+   const jsonUtil = new FileUtil({ relativePath: './test/fixture/json' });
+
+   it('writeJSON / readJSON', () =>
+   {
+      const data = { b: 1, a: { d: [{ z: 1, y: 2 }], c: null } };
+
+      assert.strictEqual(jsonUtil.writeJSON({ data, filePath: 'sorted.json', sortKeys: true, indent: 2 }), 'created');
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/json/sorted.json').toString(),
+       '{\n  "a": {\n    "c": null,\n    "d": [\n      {\n        "y": 2,\n        "z": 1\n      }\n    ]\n  },\n'
+        + '  "b": 1\n}\n');
+
+      jsonUtil.writeJSON({ data, filePath: 'compact.json', sortKeys: (a, b) => a < b ? 1 : -1, indent: 0 });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/json/compact.json').toString(),
+       '{"b":1,"a":{"d":[{"z":1,"y":2}],"c":null}}\n');
+
+      assert.deepEqual(jsonUtil.readJSON({ filePath: './test/fixture/json/sorted.json' }), data);
+
+      fs.writeFileSync('./test/fixture/json/invalid.json', '{ invalid');
+
+      assert.throws(() => jsonUtil.readJSON({ filePath: './test/fixture/json/invalid.json' }), SyntaxError,
+       /invalid\.json/);
+   });
+
+   it('writeJSON / appendNDJSON (not serializable)', () =>
+   {
+      assert.throws(() => jsonUtil.writeJSON({ filePath: 'undefined.json' }), TypeError,
+       `'data' is not serializable as JSON.`);
+      assert.throws(() => jsonUtil.writeJSON({ data: () => {}, filePath: 'undefined.json', sortKeys: true }),
+       TypeError, `'data' is not serializable as JSON.`);
+      assert.throws(() => jsonUtil.writeJSON({ data: { a: 1 }, filePath: 'undefined.json', replacer: () => void 0 }),
+       TypeError, `'data' is not serializable as JSON.`);
+
+      assert.throws(() => jsonUtil.appendNDJSON({ records: [{ a: 1 }, void 0], filePath: 'undefined.ndjson' }),
+       TypeError, `'records[1]' is not serializable as JSON.`);
+
+      assert.isFalse(fs.existsSync('./test/fixture/json/undefined.json'));
+      assert.isFalse(fs.existsSync('./test/fixture/json/undefined.ndjson'));
+   });
+
+   it('appendNDJSON / readNDJSON', async () =>
+   {
+      jsonUtil.appendNDJSON({ records: { b: 1, a: 2 }, filePath: 'events.ndjson', sortKeys: true });
+      jsonUtil.appendNDJSON({ records: [{ c: 3 }, 'text'], filePath: 'events.ndjson' });
+
+      assert.strictEqual(fs.readFileSync('./test/fixture/json/events.ndjson').toString(),
+       '{"a":2,"b":1}\n{"c":3}\n"text"\n');
+
+      assert.deepEqual(await collect(jsonUtil.readNDJSON({ filePath: './test/fixture/json/events.ndjson' })),
+       [{ a: 2, b: 1 }, { c: 3 }, 'text']);
+
+      fs.appendFileSync('./test/fixture/json/events.ndjson', '{ invalid\n');
+
+      let error;
+
+      try { await collect(jsonUtil.readNDJSON({ filePath: './test/fixture/json/events.ndjson' })); }
+      catch (err) { error = err; }
+
+      assert.instanceOf(error, SyntaxError);
+      assert.match(error.message, /line 4/);
+   });
+
+   it('writeJSON / appendNDJSON (archive)', async () =>
+   {
+      jsonUtil.archiveCreate({ filePath: 'archive' });
+      jsonUtil.writeJSON({ data: { a: 1 }, filePath: 'data.json' });
+      jsonUtil.appendNDJSON({ records: { a: 1 }, filePath: 'log.ndjson' });
+      jsonUtil.appendNDJSON({ records: { b: 2 }, filePath: 'log.ndjson' });
+      await jsonUtil.archiveFinalize();
+
+      await jsonUtil.archiveExtract({ filePath: './test/fixture/json/archive.tar.gz', destPath: 'extract' });
+
+      assert.deepEqual(jsonUtil.readJSON({ filePath: './test/fixture/json/extract/data.json' }), { a: 1 });
+      assert.strictEqual(fs.readFileSync('./test/fixture/json/extract/log.ndjson').toString(),
+       '{"a":1}\n{"b":2}\n');
+   });
+});
+
+describe('FileUtil (archive errors):', () =>
+{
+   const errorUtil = new FileUtil({ relativePath: './test/fixture/archiveerror' });
+
+   /**
+    * Returns the rejection of a promise.
+    *
+    * @param {Promise}  promise - A promise expected to reject.
+    *
+    * @returns {Promise<Error>} - The rejection.
+    */
+   const rejection = async (promise) =>
+   {
+      try { await promise; }
+      catch (err) { return err; }
+
+      throw new Error('The promise did not reject.');
+   };
+
+   /**
+    * Copies a file into the active archive which is removed before the archive reads it.
+    */
+   const copyMissing = () =>
+   {
+      fs.outputFileSync('./test/fixture/archiveerror/missing.js', 'removed');
+
+      errorUtil.copy({ srcPath: './test/fixture/archiveerror/missing.js', destPath: 'missing.js', silent: true });
+
+      fs.removeSync('./test/fixture/archiveerror/missing.js');
+   };
+
+   beforeEach(() => fs.emptyDirSync('./test/fixture/archiveerror'));
+
+   it('archiveFinalize (missing copy source)', async () =>
+   {
+      errorUtil.archiveCreate({ filePath: 'archive' });
+      copyMissing();
+
+      const error = await rejection(errorUtil.archiveFinalize());
+
+      assert.instanceOf(error, ArchiveError);
+      assert.strictEqual(error.code, 'ERR_ARCHIVE');
+      assert.strictEqual(error.archivePath, 'archive.tar.gz');
+      assert.strictEqual(error.depth, 0);
+      assert.strictEqual(error.entry, 'missing.js');
+      assert.strictEqual(error.sourcePath, path.resolve('./test/fixture/archiveerror/missing.js'));
+      assert.strictEqual(error.cause.code, 'ENOENT');
+      assert.deepEqual(fs.readdirSync('./test/fixture/archiveerror'), []);
+   });
+
+   it('archiveFinalize (nested)', async () =>
+   {
+      errorUtil.archiveCreate({ filePath: 'parent' });
+      errorUtil.writeFile({ fileData: 'ok', filePath: 'ok.txt', silent: true });
+
+      errorUtil.archiveCreate({ filePath: 'valid' });
+      errorUtil.writeFile({ fileData: 'ok', filePath: 'ok.txt', silent: true });
+      await errorUtil.archiveFinalize();
+
+      errorUtil.archiveCreate({ filePath: 'child' });
+      copyMissing();
+
+      const childError = await rejection(errorUtil.archiveFinalize());
+
+      assert.strictEqual(childError.archivePath, 'parent.tar.gz!/child.tar.gz');
+      assert.strictEqual(childError.depth, 1);
+
+      const parentError = await rejection(errorUtil.archiveFinalize());
+
+      assert.strictEqual(parentError, childError);
+      assert.deepEqual(fs.readdirSync('./test/fixture/archiveerror'), []);
+   });
+
+   it('archiveAbort', async () =>
+   {
+      errorUtil.archiveCreate({ filePath: 'parent' });
+      errorUtil.writeFile({ fileData: 'ok', filePath: 'ok.txt', silent: true });
+
+      errorUtil.archiveCreate({ filePath: 'finalized' });
+      errorUtil.writeFile({ fileData: 'ok', filePath: 'ok.txt', silent: true });
+      await errorUtil.archiveFinalize();
+
+      errorUtil.archiveCreate({ filePath: 'active' });
+      errorUtil.writeFile({ fileData: 'ok', filePath: 'ok.txt', silent: true });
+
+      await errorUtil.archiveAbort({ silent: true });
+
+      assert.strictEqual(errorUtil.archiverStack.length, 0);
+      assert.deepEqual(fs.readdirSync('./test/fixture/archiveerror'), []);
+   });
+});
+
+describe('FileUtil (archive handles):', () =>
+{
+   const handleUtil = new FileUtil({ relativePath: './test/fixture/archivehandle' });
+
+   /**
+    * Returns the sorted entry names of an archive including nested entries.
+    *
+    * @param {string}   filePath - Archive file path.
+    *
+    * @returns {Promise<string[]>} - The entry names.
+    */
+   const entryNames = async (filePath) =>
+   {
+      const entries = await handleUtil.archiveList({ filePath: `./test/fixture/archivehandle/${filePath}`,
+       nested: true });
+
+      return entries.map((entry) => entry.name).sort();
+   };
+
+   beforeEach(() => fs.emptyDirSync('./test/fixture/archivehandle'));
+
+   it('archiveCreate (interleaved handles)', async () =>
+   {
+      const first = handleUtil.archiveCreate({ filePath: 'first' });
+      const second = handleUtil.archiveCreate({ filePath: 'second', addToParent: false });
+
+      assert.strictEqual(first.archivePath, 'first.tar.gz');
+      assert.strictEqual(second.archivePath, 'second.tar.gz');
+
+      first.writeFile({ fileData: 'first', filePath: 'first.txt', silent: true });
+      second.writeFile({ fileData: 'second', filePath: 'second.txt', silent: true });
+
+      const child = first.createChild({ filePath: 'child' });
+
+      assert.strictEqual(child.archivePath, 'first.tar.gz!/child.tar.gz');
+
+      fs.outputFileSync('./test/fixture/archivehandle/src/copy.txt', 'copy');
+
+      child.copy({ srcPath: './test/fixture/archivehandle/src/copy.txt', destPath: 'copy.txt', silent: true });
+
+      // The stack based API targets the most recently created archive.
+      handleUtil.writeFile({ fileData: 'stack', filePath: 'stack.txt', silent: true });
+
+      let error;
+
+      try { await first.finalize(); }
+      catch (err) { error = err; }
+
+      assert.strictEqual(error.message, `Archive 'first.tar.gz' has active child archives.`);
+
+      await Promise.all([child.finalize(), first.finalize(), second.finalize()]);
+
+      assert.strictEqual(handleUtil.archiverStack.length, 0);
+      assert.throws(() => first.writeFile({ fileData: 'late', filePath: 'late.txt', silent: true }),
+       `Archive 'first.tar.gz' is no longer active.`);
+
+      assert.deepEqual(await entryNames('first.tar.gz'), ['child.tar.gz', 'child.tar.gz!/copy.txt', 'first.txt']);
+      assert.deepEqual(await entryNames('second.tar.gz'), ['second.txt', 'stack.txt']);
+   });
+
+   it('archiveCreate (handle abort)', async () =>
+   {
+      const parent = handleUtil.archiveCreate({ filePath: 'parent' });
+      const child = parent.createChild({ filePath: 'child' });
+
+      child.writeFile({ fileData: 'child', filePath: 'child.txt', silent: true });
+      parent.writeFile({ fileData: 'parent', filePath: 'parent.txt', silent: true });
+
+      await child.abort({ silent: true });
+      await parent.finalize();
+
+      assert.deepEqual(await entryNames('parent.tar.gz'), ['parent.txt']);
+      assert.deepEqual(fs.readdirSync('./test/fixture/archivehandle'), ['parent.tar.gz']);
+   });
+
+   it('archiveCreate (parent abort / depth)', async () =>
+   {
+      const parent = handleUtil.archiveCreate({ filePath: 'parent' });
+      const child = parent.createChild({ filePath: 'child' });
+      const separate = parent.createChild({ filePath: 'separate', addToParent: false });
+
+      child.writeFile({ fileData: 'child', filePath: 'child.txt', silent: true });
+
+      await parent.abort({ silent: true });
+
+      // Children are aborted with the parent; separate archives remain active.
+      let error;
+
+      try { await child.finalize(); }
+      catch (err) { error = err; }
+
+      assert.strictEqual(error.message, `Archive 'parent.tar.gz!/child.tar.gz' is no longer active.`);
+
+      const stats = await separate.finalize();
+
+      assert.strictEqual(stats.depth, 0);
+      assert.doesNotThrow(() => handleUtil.transaction().rollback());
+      assert.deepEqual(fs.readdirSync('./test/fixture/archivehandle'), ['separate.tar.gz']);
+   });
+});
+
+describe('FileUtil (progress):', () =>
+{
+   const progressUtil = new FileUtil({ relativePath: './test/fixture/progress' });
+
+   const events = [];
+
+   // A minimal eventbus recording triggered progress events.
+   progressUtil.onPluginLoad({
+      eventbus: {
+         on: () => {},
+         trigger: (eventName, data) => { if (eventName.endsWith(':progress')) { events.push({ eventName, data }); } }
+      },
+      pluginOptions: { eventPrepend: 'test' }
+   });
+
+   beforeEach(() =>
+   {
+      events.length = 0;
+
+      fs.emptyDirSync('./test/fixture/progress');
+      fs.outputFileSync('./test/fixture/progress/src/a.txt', 'a'.repeat(1000));
+      fs.outputFileSync('./test/fixture/progress/src/sub/b.txt', 'b'.repeat(500));
+   });
+
+   it('archiveFinalize (progress / stats)', async () =>
+   {
+      progressUtil.archiveCreate({ filePath: 'parent' });
+      progressUtil.copy({ srcPath: './test/fixture/progress/src/a.txt', destPath: 'a.txt', silent: true });
+
+      progressUtil.archiveCreate({ filePath: 'child' });
+      progressUtil.writeFile({ fileData: 'b'.repeat(500), filePath: 'b.txt', silent: true });
+
+      const childStats = await progressUtil.archiveFinalize({ silent: true });
+      const stats = await progressUtil.archiveFinalize({ silent: true });
+
+      assert.strictEqual(childStats.archivePath, 'parent.tar.gz!/child.tar.gz');
+      assert.strictEqual(childStats.depth, 1);
+      assert.strictEqual(childStats.entries, 1);
+      assert.strictEqual(childStats.uncompressedSize, 500);
+
+      assert.strictEqual(stats.archivePath, 'parent.tar.gz');
+      assert.strictEqual(stats.entries, 2);
+      assert.strictEqual(stats.uncompressedSize, 1000 + childStats.compressedSize);
+      assert.strictEqual(stats.compressedSize, fs.statSync('./test/fixture/progress/parent.tar.gz').size);
+      assert.strictEqual(stats.ratio, stats.compressedSize / stats.uncompressedSize);
+
+      const archiveEvents = events.filter((event) => event.eventName === 'test:util:file:archive:progress');
+
+      assert.deepEqual(archiveEvents.map((event) => event.data.archivePath).sort(),
+       ['parent.tar.gz', 'parent.tar.gz', 'parent.tar.gz!/child.tar.gz']);
+
+      const last = archiveEvents[archiveEvents.length - 1].data;
+
+      assert.deepEqual(last.entries, { processed: 2, total: 2 });
+      assert.strictEqual(last.depth, 0);
+      assert.strictEqual(last.bytesIn, stats.uncompressedSize);
+      assert.isAtMost(last.bytesOut, stats.compressedSize);
+   });
+
+   it('copyGlob / sync (progress)', () =>
+   {
+      const result = progressUtil.copyGlob({ globs: 'src/**/*', destPath: 'glob', silent: true });
+
+      assert.strictEqual(result.files, 2);
+      assert.strictEqual(result.bytes, 1500);
+
+      assert.deepEqual(events.map((event) => event.eventName),
+       ['test:util:file:copy:progress', 'test:util:file:copy:progress']);
+
+      assert.deepEqual(events.map((event) => event.data.filePath), ['glob/a.txt', 'glob/sub/b.txt']);
+      assert.deepEqual(events.map((event) => event.data.bytes),
+       [{ processed: 1000, total: 1500 }, { processed: 1500, total: 1500 }]);
+
+      events.length = 0;
+
+      progressUtil.sync({ srcPath: './test/fixture/progress/src', destPath: 'glob', silent: true });
+
+      assert.deepEqual(events.map((event) => event.data.files),
+       [{ processed: 1, total: 2 }, { processed: 2, total: 2 }]);
+      assert.deepEqual(events.map((event) => event.data.destPath), ['glob', 'glob']);
+   });
+
+   it('copy / copyAsync (directory progress)', async () =>
+   {
+      progressUtil.copy({ srcPath: './test/fixture/progress/src', destPath: 'copy', silent: true });
+
+      assert.deepEqual(events.map((event) => event.data.filePath), ['copy/a.txt', 'copy/sub/b.txt']);
+      assert.deepEqual(events[1].data.bytes, { processed: 1500, total: 1500 });
+      assert.strictEqual(fs.readFileSync('./test/fixture/progress/copy/sub/b.txt').toString(), 'b'.repeat(500));
+
+      events.length = 0;
+
+      await progressUtil.copyAsync({ srcPath: './test/fixture/progress/src', destPath: 'async', silent: true });
+
+      assert.deepEqual(events.map((event) => event.data.filePath).sort(), ['async/a.txt', 'async/sub/b.txt']);
+      assert.deepEqual(events[1].data.files, { processed: 2, total: 2 });
+      assert.isTrue(fs.existsSync('./test/fixture/progress/async/sub/b.txt'));
+   });
+
+   it('copy / copyAsync (symbolic links with and without an eventbus)', async () =>
+   {
+      const plainUtil = new FileUtil({ relativePath: './test/fixture/progress' });
+
+      // A link to a directory and a link back to its parent which would recurse forever when followed.
+      fs.symlinkSync('sub', './test/fixture/progress/src/link');
+      fs.symlinkSync('..', './test/fixture/progress/src/sub/loop');
+
+      progressUtil.copy({ srcPath: './test/fixture/progress/src', destPath: 'eventbus', silent: true });
+      plainUtil.copy({ srcPath: './test/fixture/progress/src', destPath: 'plain', silent: true });
+      await progressUtil.copyAsync({ srcPath: './test/fixture/progress/src', destPath: 'async', silent: true });
+
+      for (const destPath of ['eventbus', 'plain', 'async'])
+      {
+         assert.isTrue(fs.lstatSync(`./test/fixture/progress/${destPath}/link`).isSymbolicLink());
+         assert.isTrue(fs.lstatSync(`./test/fixture/progress/${destPath}/sub/loop`).isSymbolicLink());
+         assert.strictEqual(fs.readlinkSync(`./test/fixture/progress/${destPath}/link`), 'sub');
+      }
+   });
+});
+
+describe('FileUtil (reproducible archives):', () =>
+{
+   const reproducibleUtil = new FileUtil({ relativePath: './test/fixture/reproducible', reproducible: true,
+    sourceDateEpoch: 1500000000 });
+
+   /**
+    * Creates an archive with a nested child archive adding the source entries in the given order.
+    *
+    * @param {string}   filePath - Archive file path.
+    *
+    * @param {boolean}  reverse - When true the entries are added in reverse order.
+    *
+    * @returns {Promise<string>} - The SHA-256 hash of the archive.
+    */
+   const createArchive = async (filePath, reverse) =>
+   {
+      const operations = [
+         () => reproducibleUtil.copy({ srcPath: './test/fixture/reproducible/src', destPath: 'src', silent: true }),
+         () => reproducibleUtil.writeFile({ fileData: 'write', filePath: 'write.txt', silent: true })
+      ];
+
+      reproducibleUtil.archiveCreate({ filePath, silent: true });
+
+      for (const operation of reverse ? operations.reverse() : operations) { operation(); }
+
+      reproducibleUtil.archiveCreate({ filePath: 'child', silent: true });
+      reproducibleUtil.copy({ srcPath: './test/fixture/reproducible/src/run.sh', destPath: 'run.sh', silent: true });
+      await reproducibleUtil.archiveFinalize({ silent: true });
+
+      await reproducibleUtil.archiveFinalize({ silent: true });
+
+      return crypto.createHash('sha256').update(fs.readFileSync(`./test/fixture/reproducible/${filePath}.tar.gz`))
+       .digest('hex');
+   };
+
+   beforeEach(() =>
+   {
+      fs.emptyDirSync('./test/fixture/reproducible');
+      fs.outputFileSync('./test/fixture/reproducible/src/b.txt', 'b');
+      fs.outputFileSync('./test/fixture/reproducible/src/a/a.txt', 'a');
+      fs.outputFileSync('./test/fixture/reproducible/src/run.sh', 'echo');
+      fs.chmodSync('./test/fixture/reproducible/src/run.sh', 0o775);
+      fs.ensureDirSync('./test/fixture/reproducible/src/empty');
+   });
+
+   it('archiveFinalize (identical output)', async () =>
+   {
+      const first = await createArchive('first', false);
+
+      // Change the source modification times and permissions.
+      fs.utimesSync('./test/fixture/reproducible/src/b.txt', new Date(), new Date(2000, 1, 1));
+      fs.chmodSync('./test/fixture/reproducible/src/b.txt', 0o600);
+
+      const second = await createArchive('second', true);
+
+      assert.strictEqual(first, second);
+
+      const entries = await reproducibleUtil.archiveList({ filePath: './test/fixture/reproducible/first.tar.gz',
+       nested: true });
+
+      assert.deepEqual(entries.map((entry) => entry.name), ['child.tar.gz', 'child.tar.gz!/run.sh', 'src/a',
+       'src/a/a.txt', 'src/b.txt', 'src/empty', 'src/run.sh', 'write.txt']);
+
+      assert.deepEqual(entries.map((entry) => entry.type), ['file', 'file', 'directory', 'file', 'file', 'directory',
+       'file', 'file']);
+      assert.deepEqual(entries.map((entry) => entry.mode), [0o644, 0o755, 0o755, 0o644, 0o644, 0o755, 0o755, 0o644]);
+      assert.isTrue(entries.every((entry) => entry.mtime.getTime() === 1500000000000));
+   });
+});
+
+describe('FileUtil (logging):', () =>
+{
+   const records = [];
+
+   const logUtil = new FileUtil({ relativePath: './test/fixture/logging', logger: (record) => records.push(record) });
+
+   beforeEach(() =>
+   {
+      records.length = 0;
+
+      logUtil.setOptions({ logLevel: 'debug' });
+
+      fs.emptyDirSync('./test/fixture/logging');
+   });
+
+   it('logger (records)', async () =>
+   {
+      logUtil.writeFile({ fileData: 'test', filePath: 'test.txt' });
+
+      logUtil.archiveCreate({ filePath: 'archive' });
+      logUtil.writeFile({ fileData: 'test', filePath: 'test.txt' });
+      await logUtil.archiveFinalize();
+
+      assert.isNull(await logUtil.archiveFinalize());
+      assert.isNull(await logUtil.archiveFinalize({ silent: true }));
+
+      assert.deepEqual(records.map((record) => `${record.level} ${record.operation}`), ['debug write',
+       'debug archive:create', 'debug write', 'debug archive:finalize', 'debug archive:finalize',
+        'warn archive:finalize']);
+
+      assert.deepEqual(records[0], { level: 'debug', message: 'output: test.txt', operation: 'write',
+       path: 'test.txt', resolvedPath: path.resolve('./test/fixture/logging/test.txt'), archive: null,
+        duration: null });
+
+      assert.strictEqual(records[2].archive, 'archive.tar.gz');
+      assert.strictEqual(records[2].resolvedPath, `${path.resolve('./test/fixture/logging/archive.tar.gz')}!/test.txt`);
+
+      assert.strictEqual(records[4].message, 'finalized archive: archive.tar.gz');
+      assert.isNumber(records[4].duration);
+
+      assert.strictEqual(records[5].message, 'No active archive to finalize.');
+   });
+
+   it('logger (child archive records)', async () =>
+   {
+      logUtil.archiveCreate({ filePath: 'parent' });
+      logUtil.archiveCreate({ filePath: 'child' });
+      logUtil.writeFile({ fileData: 'test', filePath: 'test.txt' });
+      logUtil.archiveFinalize();
+      await logUtil.archiveFinalize();
+
+      const parentPath = path.resolve('./test/fixture/logging/parent.tar.gz');
+
+      const write = records.find((record) => record.operation === 'write');
+
+      assert.strictEqual(write.archive, 'parent.tar.gz!/child.tar.gz');
+      assert.strictEqual(write.resolvedPath, `${parentPath}!/child.tar.gz!/test.txt`);
+
+      assert.deepEqual(records.filter((record) => record.operation === 'archive:create').map((record) =>
+       record.resolvedPath), [parentPath, `${parentPath}!/child.tar.gz`]);
+   });
+
+   it('logLevel', () =>
+   {
+      logUtil.setOptions({ logLevel: 'warn' });
+
+      logUtil.writeFile({ fileData: 'test', filePath: 'test.txt' });
+
+      const cwdUtil = new FileUtil({ relativePath: '.', logger: (record) => records.push(record), logLevel: 'warn' });
+
+      cwdUtil.emptyRelativePath();
+
+      assert.lengthOf(records, 1);
+      assert.strictEqual(records[0].level, 'warn');
+      assert.strictEqual(records[0].operation, 'empty');
+      assert.strictEqual(records[0].resolvedPath, path.resolve('.'));
+   });
+
+   it('eventbus / console', () =>
+   {
+      const events = [];
+
+      const eventUtil = new FileUtil({ relativePath: './test/fixture/logging' });
+
+      eventUtil.setOptions({ eventbus: { trigger: (eventName, message, record) =>
+       events.push({ eventName, message, level: record.level }) } });
+
+      eventUtil.writeFile({ fileData: 'test', filePath: 'test.txt' });
+      eventUtil.archiveFinalize();
+
+      assert.deepEqual(events, [
+         { eventName: 'log:debug', message: 'output: test.txt', level: 'debug' },
+         { eventName: 'log:warn', message: 'No active archive to finalize.', level: 'warn' }
+      ]);
+
+      // Without an eventbus or logger warnings are logged to the console.
+      const consoleUtil = new FileUtil({ relativePath: './test/fixture/logging' });
+      const warn = console.warn;
+      const warnings = [];
+
+      console.warn = (message) => warnings.push(message);
+
+      try
+      {
+         consoleUtil.writeFile({ fileData: 'test', filePath: 'test.txt' });
+         consoleUtil.archiveFinalize();
+      }
+      finally
+      {
+         console.warn = warn;
+      }
+
+      assert.deepEqual(warnings, ['[warn] No active archive to finalize.']);
+   });
+});
+
 const writeData =
 `
 /**